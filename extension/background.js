@@ -493,11 +493,12 @@ chrome.commands.onCommand.addListener(async (command) => {
 
     console.log(`[COMMAND] quick_download déclenché (tab ${tabId}) -> ${url.substring(0,120)}`);
 
-    // Déléguer au serveur via la route /api/capture (qui redirige vers /download)
+    // Déléguer au serveur via la route /api/capture (traitée comme /download)
     try {
+      const { apiKey } = await chrome.storage.local.get('apiKey');
       await fetch(`${SERVER_URL}/api/capture`, {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...(apiKey ? { 'X-API-Key': apiKey } : {}) },
         body: JSON.stringify({ url, type: 'quick', tabId })
       });
       console.log('[COMMAND] Requête envoyée au serveur pour téléchargement rapide');
@@ -0,0 +1,14 @@
+// options.js - Paramètres de l'extension
+const apiKeyInput = document.getElementById('apiKey');
+const saveStatus = document.getElementById('saveStatus');
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const { apiKey } = await chrome.storage.local.get('apiKey');
+  apiKeyInput.value = apiKey || '';
+});
+
+document.getElementById('saveBtn').addEventListener('click', async () => {
+  await chrome.storage.local.set({ apiKey: apiKeyInput.value.trim() });
+  saveStatus.textContent = ' ✅ Enregistré';
+  setTimeout(() => { saveStatus.textContent = ''; }, 2000);
+});
@@ -30,6 +30,10 @@ const elements = {
   downloadLocalBtn: document.getElementById("downloadLocal"),
   videoSelector: document.getElementById("videoSelector"),
   videoSelectorContainer: document.getElementById("videoSelectorContainer"),
+  variantSelector: document.getElementById("variantSelector"),
+  variantSelectorContainer: document.getElementById("variantSelectorContainer"),
+  formatSelector: document.getElementById("formatSelector"),
+  probeFormatsBtn: document.getElementById("probeFormats"),
   manualScanBtn: document.getElementById("manualScan"),
   refreshBtn: document.getElementById("refresh"),
   clearBtn: document.getElementById("clear")
@@ -213,6 +217,78 @@ function updateVideoSelector(videos) {
   }
 }
 
+// Lister les variantes HLS / représentations DASH via le serveur
+async function updateVariantSelector(url) {
+  if (!elements.variantSelector) return;
+
+  elements.variantSelector.innerHTML = '<option value="">Automatique</option>';
+  elements.variantSelectorContainer.style.display = "none";
+  const manifest = /\.m3u8/i.test(url) ? 'hls' : /\.mpd/i.test(url) ? 'dash' : null;
+  if (!manifest) return;
+
+  try {
+    const params = new URLSearchParams({ url });
+    if (state.context?.pageUrl) params.set('referer', state.context.pageUrl);
+
+    const response = await fetch(`${CONFIG.SERVER_URL}/probe/${manifest}?${params}`, { headers: await getAuthHeaders() });
+    if (!response.ok) return;
+
+    const probe = await response.json();
+    if (probe.variants.length === 0) return;
+
+    elements.variantSelector.options[0].textContent = `Automatique (${probe.variants[probe.selected].label})`;
+    probe.variants.forEach(variant => {
+      const option = document.createElement("option");
+      option.value = variant.index;
+      option.textContent = variant.label;
+      option.title = [variant.width && `${variant.width}x${variant.height}`, variant.codecs].filter(Boolean).join(' · ');
+      elements.variantSelector.appendChild(option);
+    });
+    elements.variantSelectorContainer.style.display = "block";
+  } catch (error) {
+    console.warn('[POPUP] Variantes indisponibles:', error.message);
+  }
+}
+
+// Lister les formats yt-dlp de l'URL saisie via le serveur
+async function updateFormatSelector() {
+  const url = elements.urlInput.value?.trim();
+  if (!url || !isValidUrl(url)) {
+    showStatus("⚠️ Veuillez entrer une URL", STATUS_TYPES.WARNING);
+    return;
+  }
+
+  state.setLoading(true);
+  showStatus("🔍 Analyse des formats...", STATUS_TYPES.INFO);
+
+  try {
+    const params = new URLSearchParams({ url });
+    if (state.context?.pageUrl) params.set('referer', state.context.pageUrl);
+
+    const response = await fetch(`${CONFIG.SERVER_URL}/probe?${params}`, { headers: await getAuthHeaders() });
+    const probe = await response.json();
+    if (!response.ok) {
+      showStatus(`❌ ${probe.error || 'Analyse impossible'}`, STATUS_TYPES.ERROR, CONFIG.STATUS_TIMEOUT);
+      return;
+    }
+
+    elements.formatSelector.innerHTML = '<option value="">Meilleure qualité (défaut)</option>';
+    probe.formats.forEach(format => {
+      const option = document.createElement("option");
+      // Un format vidéo seul est complété par la meilleure piste audio
+      option.value = format.type === 'video' ? `${format.id}+bestaudio/${format.id}` : format.id;
+      option.textContent = format.label;
+      elements.formatSelector.appendChild(option);
+    });
+    showStatus(`✓ ${probe.formats.length} format(s) disponible(s)`, STATUS_TYPES.SUCCESS, CONFIG.STATUS_TIMEOUT);
+  } catch (error) {
+    console.error('[POPUP] Erreur formats:', error);
+    showStatus("❌ Serveur inaccessible (localhost:3000)", STATUS_TYPES.ERROR);
+  } finally {
+    state.setLoading(false);
+  }
+}
+
 // Mettre à jour le nom de fichier suggéré
 function updateFilename(context) {
   if (!elements.filenameInput || elements.filenameInput.value) return;
@@ -286,6 +362,7 @@ async function refreshUI() {
 
     updateFilename(context);
     updateDetectionStatus({ ...context, detectedVideos: allVideos });
+    updateVariantSelector(elements.urlInput.value.trim());
 
   } catch (error) {
     console.error('[POPUP] Erreur refresh:', error);
@@ -295,8 +372,105 @@ async function refreshUI() {
   }
 }
 
+// ================= SERVER CONNECTION =================
+// WebSocket /ws du serveur : commandes corrélées par requestId et progression du job envoyé
+// sur une seule connexion. Sans connexion, la commande passe par la route HTTP équivalente
+const COMMAND_ROUTES = {
+  enqueue: ['POST', '/download']
+};
+
+const serverConnection = {
+  socket: null,
+  pending: new Map(), // requestId -> resolve
+  nextRequestId: 1,
+  watchedJob: null,
+
+  async open() {
+    const { apiKey } = await chrome.storage.local.get('apiKey');
+    const url = new URL('/ws', CONFIG.SERVER_URL.replace(/^http/, 'ws'));
+
+    // Pas d'en-tête possible sur un WebSocket : la clé passe en sous-protocole (base64url)
+    const protocols = ['web-wget'];
+    if (apiKey) {
+      const encoded = btoa(String.fromCharCode(...new TextEncoder().encode(apiKey)));
+      protocols.push(`key.${encoded.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')}`);
+    }
+
+    const socket = new WebSocket(url, protocols);
+    socket.onopen = () => {
+      this.socket = socket;
+      this.send('subscribe', { ids: [] }); // Rien à suivre avant l'envoi d'un job
+    };
+    socket.onmessage = (event) => this.handleMessage(JSON.parse(event.data));
+    socket.onclose = () => {
+      this.socket = null;
+      this.pending.forEach(resolve => resolve(null));
+      this.pending.clear();
+    };
+  },
+
+  send(command, payload) {
+    const requestId = this.nextRequestId++;
+    return new Promise(resolve => {
+      this.pending.set(requestId, resolve);
+      this.socket.send(JSON.stringify({ requestId, command, ...payload }));
+    });
+  },
+
+  // Résultat au format d'une réponse fetch (ok, status, json())
+  async command(name, payload) {
+    const reply = this.socket ? await this.send(name, payload) : null;
+    if (reply) {
+      return { ok: reply.status >= 200 && reply.status < 300, status: reply.status, json: async () => reply.body };
+    }
+
+    const [method, path] = COMMAND_ROUTES[name];
+    return fetch(`${CONFIG.SERVER_URL}${path}`, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        "Accept": "application/json",
+        ...(await getAuthHeaders())
+      },
+      body: JSON.stringify(payload)
+    });
+  },
+
+  // Suivre la progression d'un job dans la ligne de statut
+  watch(id) {
+    if (!this.socket || !id) return false;
+    this.watchedJob = id;
+    this.send('subscribe', { ids: [id] });
+    return true;
+  },
+
+  handleMessage(data) {
+    if (data.type === 'response') {
+      this.pending.get(data.requestId)?.(data);
+      this.pending.delete(data.requestId);
+      return;
+    }
+
+    const download = data.download;
+    if (!download || download.id !== this.watchedJob) return;
+    if (download.status === 'downloading') {
+      showStatus(`⬇️ ${download.filename} : ${download.live ? 'en direct' : `${download.progress} %`}`, STATUS_TYPES.INFO);
+    } else if (download.status === 'completed') {
+      showStatus("✅ Téléchargement terminé !", STATUS_TYPES.SUCCESS);
+    } else if (download.status === 'error') {
+      showStatus(`❌ ${download.error || 'Échec du téléchargement'}`, STATUS_TYPES.ERROR);
+    }
+  }
+};
+
 // ================= DOWNLOAD FUNCTIONS =================
 // Téléchargement via serveur
+// Clé d'API du serveur, réglée dans la page d'options de l'extension
+async function getAuthHeaders() {
+  const { apiKey } = await chrome.storage.local.get('apiKey');
+  return apiKey ? { 'X-API-Key': apiKey } : {};
+}
+
 async function downloadViaServer() {
   const url = elements.urlInput.value?.trim();
   const customFilename = elements.filenameInput.value?.trim();
@@ -325,19 +499,14 @@ async function downloadViaServer() {
 
     showStatus("📤 Envoi de la requête...", STATUS_TYPES.INFO);
 
-    const response = await fetch(`${CONFIG.SERVER_URL}/download`, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "Accept": "application/json"
-      },
-      body: JSON.stringify({
-        url,
-        customFilename: customFilename || null,
-        referer: state.context.pageUrl || state.context.referer,
-        ua: state.context.ua,
-        cookies: state.context.cookies || ''
-      })
+    const response = await serverConnection.command('enqueue', {
+      url,
+      customFilename: customFilename || null,
+      referer: state.context.pageUrl || state.context.referer,
+      ua: state.context.ua,
+      cookies: state.context.cookies || '',
+      variant: elements.variantSelector?.value || null,
+      format: elements.formatSelector?.value || null
     });
 
     const data = await response.json();
@@ -345,10 +514,14 @@ async function downloadViaServer() {
     if (response.ok) {
       showStatus("✅ Téléchargement démarré !", STATUS_TYPES.SUCCESS);
 
-      // Fermer la popup après un délai
-      setTimeout(() => {
-        window.close();
-      }, CONFIG.AUTO_CLOSE_DELAY);
+      // Fermer la popup après un délai, sauf si elle peut suivre la progression
+      if (!serverConnection.watch(data.id)) {
+        setTimeout(() => {
+          window.close();
+        }, CONFIG.AUTO_CLOSE_DELAY);
+      }
+    } else if (response.status === 401) {
+      showStatus("🔒 Clé d'API manquante ou invalide (voir les options de l'extension)", STATUS_TYPES.ERROR);
     } else {
       showStatus(`❌ ${data.error || 'Erreur serveur'}`, STATUS_TYPES.ERROR);
     }
@@ -442,6 +615,7 @@ async function downloadLocally() {
 document.addEventListener('DOMContentLoaded', () => {
   console.log('[POPUP] Initialisation');
   refreshUI();
+  serverConnection.open();
 });
 
 // Scan manuel
@@ -464,11 +638,21 @@ if (elements.videoSelector) {
     if (selectedUrl) {
       elements.urlInput.value = selectedUrl;
       state.selectedVideoUrl = selectedUrl;
+      updateVariantSelector(selectedUrl);
+      elements.formatSelector.innerHTML = '<option value="">Meilleure qualité (défaut)</option>';
       console.log('[POPUP] Vidéo sélectionnée:', selectedUrl.substring(0, 50));
     }
   });
 }
 
+// Bouton liste des formats
+if (elements.probeFormatsBtn) {
+  elements.probeFormatsBtn.addEventListener('click', (e) => {
+    e.preventDefault();
+    updateFormatSelector();
+  });
+}
+
 // Bouton téléchargement serveur
 if (elements.sendBtn) {
   elements.sendBtn.addEventListener('click', (e) => {
@@ -494,6 +678,11 @@ if (elements.urlInput) {
     }
   });
 
+  elements.urlInput.addEventListener('change', (e) => {
+    updateVariantSelector(e.target.value.trim());
+    elements.formatSelector.innerHTML = '<option value="">Meilleure qualité (défaut)</option>';
+  });
+
   // Entrer pour télécharger
   elements.urlInput.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') {
@@ -519,6 +708,7 @@ if (elements.clearBtn) {
     elements.urlInput.value = '';
     elements.filenameInput.value = '';
     elements.videoSelector.selectedIndex = 0;
+    updateVariantSelector('');
     showStatus("Champs nettoyés", STATUS_TYPES.INFO, 2000);
   });
 }
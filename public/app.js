@@ -14,7 +14,14 @@ const STATUS_ICONS = {
   error: 'fa-exclamation-circle',
   cancelled: 'fa-times-circle',
   retrying: 'fa-redo',
-  interrupted: 'fa-pause-circle'
+  interrupted: 'fa-pause-circle',
+  paused: 'fa-pause',
+  queued: 'fa-clock',
+  scheduled: 'fa-calendar-alt',
+  verifying: 'fa-fingerprint',
+  'verification-failed': 'fa-shield-alt',
+  postprocessing: 'fa-cogs',
+  'postprocess-failed': 'fa-tools'
 };
 
 const STATUS_LABELS = {
@@ -23,7 +30,21 @@ const STATUS_LABELS = {
   error: 'Échec',
   cancelled: 'Annulé',
   retrying: 'Nouvelle tentative...',
-  interrupted: 'Interrompu'
+  interrupted: 'Interrompu',
+  paused: 'En pause',
+  queued: 'En attente',
+  scheduled: 'Programmé',
+  verifying: 'Vérification...',
+  'verification-failed': 'Empreinte invalide',
+  postprocessing: 'Post-traitement...',
+  'postprocess-failed': 'Post-traitement échoué'
+};
+
+const STEP_ICONS = {
+  pending: 'fa-circle',
+  running: 'fa-spinner fa-spin',
+  done: 'fa-check',
+  failed: 'fa-times'
 };
 
 // ================= STATE MANAGEMENT =================
@@ -35,6 +56,7 @@ class AppState {
     this.allowedDomains = [];
     this.isConnected = false;
     this.reconnectAttempts = 0;
+    this.queue = []; // ids en file d'attente, dans l'ordre de démarrage
   }
 
   addActiveDownload(id) {
@@ -77,6 +99,8 @@ const elements = {
   historyList: document.getElementById('historyList'),
   cancelAllBtn: document.getElementById('cancelAllBtn'),
   clearHistoryBtn: document.getElementById('clearHistoryBtn'),
+  retentionPreviewBtn: document.getElementById('retentionPreviewBtn'),
+  retentionPreview: document.getElementById('retentionPreview'),
   refreshActiveBtn: document.getElementById('refreshActiveBtn'),
   refreshHistoryBtn: document.getElementById('refreshHistoryBtn'),
   paginationControls: document.getElementById('paginationControls'),
@@ -85,7 +109,20 @@ const elements = {
   currentPageSpan: document.getElementById('currentPage'),
   totalPagesSpan: document.getElementById('totalPages'),
   connectionStatus: document.getElementById('connectionStatus'),
-  toastContainer: document.getElementById('toastContainer')
+  toastContainer: document.getElementById('toastContainer'),
+  loginOverlay: document.getElementById('loginOverlay'),
+  loginForm: document.getElementById('loginForm'),
+  logoutBtn: document.getElementById('logoutBtn'),
+  accountInfo: document.getElementById('accountInfo'),
+  engineSelect: document.getElementById('engineSelect'),
+  variantPicker: document.getElementById('variantPicker'),
+  variantSelect: document.getElementById('variantSelect'),
+  audioTrackGroup: document.getElementById('audioTrackGroup'),
+  audioTrackSelect: document.getElementById('audioTrackSelect'),
+  maxHeightSelect: document.getElementById('maxHeightSelect'),
+  formatSelect: document.getElementById('formatSelect'),
+  probeFormatsBtn: document.getElementById('probeFormatsBtn'),
+  subtitleLanguages: document.getElementById('subtitleLanguages')
 };
 
 // ================= UTILITY FUNCTIONS =================
@@ -98,6 +135,23 @@ function formatFileSize(bytes) {
   return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
 }
 
+// Formater un débit (octets/s) et le débit d'un flux (bits/s)
+function formatSpeed(bytesPerSecond) {
+  return bytesPerSecond == null ? '--' : `${formatFileSize(bytesPerSecond)}/s`;
+}
+
+function formatBitrate(bits) {
+  return bits >= 1e6 ? `${(bits / 1e6).toFixed(1)} Mbit/s` : `${Math.round(bits / 1e3)} kbit/s`;
+}
+
+// Formater la taille reçue et la taille totale (estimée précédée de ~)
+function formatProgressSize(download) {
+  const total = download.totalBytes != null
+    ? `${download.totalEstimated ? '~' : ''}${formatFileSize(download.totalBytes)}`
+    : '???';
+  return `${formatFileSize(download.bytes)} / ${total}`;
+}
+
 // Formater la date
 function formatDate(date) {
   return new Date(date).toLocaleString('fr-FR', {
@@ -109,6 +163,32 @@ function formatDate(date) {
   });
 }
 
+// Formater une durée en secondes
+function formatDuration(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  const h = Math.floor(seconds / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  return h > 0 ? `${h}h${String(m).padStart(2, '0')}` : `${m}min ${seconds % 60}s`;
+}
+
+// Temps restant ; un direct ou un flux de durée inconnue affiche la durée déjà écrite
+function formatRemaining(download) {
+  if (download.live) return `${formatDuration(Math.round(download.position || 0))} enregistrées`;
+  if (download.eta != null) return formatDuration(Math.round(download.eta));
+  return download.position != null ? `${formatDuration(Math.round(download.position))} encodées` : '--';
+}
+
+// Compte à rebours jusqu'à une date (jobs programmés)
+function formatCountdown(date) {
+  const seconds = Math.max(0, Math.round((new Date(date) - Date.now()) / 1000));
+  const d = Math.floor(seconds / 86400);
+  const h = Math.floor((seconds % 86400) / 3600);
+  const m = Math.floor((seconds % 3600) / 60);
+  const s = String(seconds % 60).padStart(2, '0');
+  if (d > 0) return `${d}j ${h}h${String(m).padStart(2, '0')}`;
+  return h > 0 ? `${h}h${String(m).padStart(2, '0')}m${s}s` : `${m}m${s}s`;
+}
+
 // Obtenir l'icône selon l'extension
 function getFileIcon(filename) {
   const ext = filename.split('.').pop().toLowerCase();
@@ -143,6 +223,13 @@ function sanitizeFilename(filename) {
   return filename.replace(/[<>:"/\\|?*\x00-\x1F]/g, '_').substring(0, 255);
 }
 
+// Valeurs issues des jobs (URL, nom, qualité, erreurs) avant insertion dans un gabarit HTML
+function escapeHtml(value) {
+  return String(value ?? '').replace(/[&<>"']/g, char => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+  })[char]);
+}
+
 // ================= TOAST NOTIFICATIONS =================
 class ToastManager {
   show(message, type = 'info', duration = CONFIG.TOAST_DURATION) {
@@ -267,48 +354,112 @@ class NotificationManager {
 
 const notifications = new NotificationManager();
 
-// ================= SSE CONNECTION =================
-class SSEManager {
+// ================= LIVE CONNECTION =================
+// WebSocket /ws : événements en direct et commandes sur une seule connexion.
+// Les réponses sont corrélées par requestId ; connexion fermée → route HTTP équivalente
+const COMMAND_ROUTES = {
+  enqueue: ['POST', '/download'],
+  cancel: ['POST', '/cancel'],
+  pause: ['POST', '/pause'],
+  resume: ['POST', '/resume'],
+  reorder: ['PATCH', '/queue']
+};
+
+class ConnectionManager {
   constructor() {
-    this.eventSource = null;
+    this.socket = null;
     this.reconnectTimeout = null;
+    this.pending = new Map(); // requestId -> { resolve, reject }
+    this.nextRequestId = 1;
     this.connect();
   }
 
   connect() {
     try {
-      this.eventSource = new EventSource('/events');
-      
-      this.eventSource.onopen = () => {
-        console.log('[SSE] Connecté');
+      const protocol = location.protocol === 'https:' ? 'wss:' : 'ws:';
+      this.socket = new WebSocket(`${protocol}//${location.host}/ws`);
+
+      this.socket.onopen = () => {
+        console.log('[WS] Connecté');
         state.isConnected = true;
         state.reconnectAttempts = 0;
         this.updateConnectionStatus(true);
         toast.success('Connexion établie');
       };
 
-      this.eventSource.onmessage = (event) => {
+      this.socket.onmessage = (event) => {
         try {
           const data = JSON.parse(event.data);
-          this.handleMessage(data);
+          if (data.type === 'response') {
+            this.resolveRequest(data);
+          } else {
+            this.handleMessage(data);
+          }
         } catch (e) {
-          console.error('[SSE] Erreur parsing:', e);
+          console.error('[WS] Erreur parsing:', e);
         }
       };
 
-      this.eventSource.onerror = (error) => {
-        console.error('[SSE] Erreur connexion:', error);
+      this.socket.onclose = () => {
+        console.error('[WS] Connexion fermée');
         state.isConnected = false;
         this.updateConnectionStatus(false);
+        this.failPending();
         this.reconnect();
       };
     } catch (e) {
-      console.error('[SSE] Erreur création:', e);
+      console.error('[WS] Erreur création:', e);
       this.reconnect();
     }
   }
 
+  // Résultat au format d'une réponse fetch (ok, status, json()) pour les appelants
+  command(name, payload) {
+    if (this.socket?.readyState !== WebSocket.OPEN) {
+      const [method, url] = COMMAND_ROUTES[name];
+      return fetch(url, {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload)
+      });
+    }
+
+    const requestId = this.nextRequestId++;
+    return new Promise((resolve, reject) => {
+      this.pending.set(requestId, { resolve, reject });
+      this.socket.send(JSON.stringify({ requestId, command: name, ...payload }));
+    });
+  }
+
+  resolveRequest({ requestId, status, body }) {
+    const request = this.pending.get(requestId);
+    if (!request) return;
+    this.pending.delete(requestId);
+    request.resolve({ ok: status >= 200 && status < 300, status, json: async () => body });
+  }
+
+  failPending() {
+    this.pending.forEach(request => request.reject(new Error('Connexion fermée')));
+    this.pending.clear();
+  }
+
   handleMessage(data) {
+    if (data.type === 'queue') {
+      state.queue = data.queue;
+      renderQueuePositions();
+      return;
+    }
+
+    if (data.type === 'postprocess') {
+      updatePostProcessStep(data.id, data.index, data.step);
+      return;
+    }
+
+    if (data.type === 'batch') {
+      renderBatch(data.batch);
+      return;
+    }
+
     if (data.type === 'update' || data.type === 'status-change') {
       updateDownloadUI(data.download);
 
@@ -325,10 +476,15 @@ class SSEManager {
         audio.playSuccess();
         notifications.downloadComplete(data.download.filename);
         toast.success(`${data.download.filename} téléchargé !`);
-      } else if (data.download.status === 'error') {
+      } else if (data.download.status === 'error' || data.download.status === 'verification-failed') {
         audio.playError();
         notifications.downloadError(data.download.filename);
-        toast.error(`Erreur: ${data.download.filename}`);
+        toast.error(data.download.errorCode === 'too-large'
+          ? `${data.download.filename}: ${data.download.error}`
+          : `Erreur: ${data.download.filename}`);
+      } else if (data.download.status === 'postprocess-failed') {
+        loadHistory();
+        toast.warning(`${data.download.filename} téléchargé, mais le post-traitement a échoué`);
       }
     }
   }
@@ -342,15 +498,10 @@ class SSEManager {
     state.reconnectAttempts++;
     const delay = CONFIG.RECONNECT_DELAY * state.reconnectAttempts;
 
-    console.log(`[SSE] Reconnexion dans ${delay}ms (tentative ${state.reconnectAttempts})`);
+    console.log(`[WS] Reconnexion dans ${delay}ms (tentative ${state.reconnectAttempts})`);
 
     clearTimeout(this.reconnectTimeout);
-    this.reconnectTimeout = setTimeout(() => {
-      if (this.eventSource) {
-        this.eventSource.close();
-      }
-      this.connect();
-    }, delay);
+    this.reconnectTimeout = setTimeout(() => this.connect(), delay);
   }
 
   updateConnectionStatus(connected) {
@@ -369,14 +520,16 @@ class SSEManager {
   }
 
   disconnect() {
-    if (this.eventSource) {
-      this.eventSource.close();
+    if (this.socket) {
+      this.socket.onclose = null;
+      this.socket.close();
     }
     clearTimeout(this.reconnectTimeout);
   }
 }
 
-let sseManager;
+let connection;
+let isAdminView = false; // Affiche le propriétaire des fichiers dans la bibliothèque
 
 // ================= DOWNLOAD UI =================
 function updateDownloadUI(download) {
@@ -387,19 +540,33 @@ function updateDownloadUI(download) {
     const emptyState = elements.activeList.querySelector('.empty-state');
     if (emptyState) emptyState.remove();
 
-    // Créer le nouvel élément
+    // Créer le nouvel élément (dans le groupe de son lot pour une vidéo de playlist)
     el = document.createElement('div');
     el.id = `dl-${download.id}`;
     el.className = 'download-item';
-    elements.activeList.prepend(el);
+    el.dataset.id = download.id;
+    if (download.batch) {
+      getBatchGroup(download.batch).querySelector('.batch-items').append(el);
+    } else {
+      elements.activeList.prepend(el);
+    }
   }
 
   const status = download.status;
   const isDone = status === 'completed';
-  const isError = status === 'error';
+  const isError = status === 'error' || status === 'verification-failed';
   const isInterrupted = status === 'interrupted';
   const isCancelled = status === 'cancelled';
   const isRetrying = status === 'retrying';
+  const isPaused = status === 'paused';
+  const isScheduled = status === 'scheduled';
+  const isPostProcessFailed = status === 'postprocess-failed';
+  const canPause = status === 'downloading' || status === 'queued' || isRetrying;
+  // Flux en direct (durée inconnue) : pas de pourcentage
+  const progressLabel = download.live && !isDone ? 'En direct' : `${download.progress}%`;
+
+  const queuePosition = state.queue.indexOf(download.id) + 1;
+  el.draggable = queuePosition > 0;
 
   const statusIcon = STATUS_ICONS[status] || 'fa-question-circle';
   const statusLabel = STATUS_LABELS[status] || 'Inconnu';
@@ -412,21 +579,62 @@ function updateDownloadUI(download) {
         </div>
         <div class="file-details">
           ${isDone
-            ? `<a href="/transfer/${download.filename}" class="file-name download-link" title="Récupérer et supprimer du serveur">
-                ${download.filename}
+            ? `<a href="/transfer/${encodeURIComponent(download.filename)}" class="file-name download-link" title="Récupérer et supprimer du serveur">
+                ${escapeHtml(download.filename)}
                 <i class="fas fa-download"></i>
               </a>`
-            : `<div class="file-name">${download.filename}</div>`
+            : `<div class="file-name">${escapeHtml(download.filename)}</div>`
+          }
+          <div class="file-url" title="${escapeHtml(download.url)}">${escapeHtml(download.url)}</div>
+          ${download.quality
+            ? `<div class="file-quality"><i class="fas fa-layer-group"></i> ${escapeHtml(download.quality)}</div>`
+            : ''
           }
-          <div class="file-url" title="${download.url}">${download.url}</div>
         </div>
       </div>
       <div class="download-actions">
+        ${queuePosition > 0
+          ? `<span class="queue-position" title="Position dans la file (glisser pour réordonner)">
+              <i class="fas fa-grip-vertical"></i>
+              #${queuePosition}
+            </span>`
+          : ''
+        }
         <span class="status-badge status-${status}">
           <i class="fas ${statusIcon}"></i>
           ${statusLabel}
         </span>
-        ${status === 'downloading'
+        ${canPause
+          ? `<button class="btn-icon" onclick="pauseDownload('${download.id}')" title="Mettre en pause">
+              <i class="fas fa-pause"></i>
+            </button>`
+          : ''
+        }
+        ${isScheduled
+          ? `<button class="btn-icon" onclick="startNow('${download.id}')" title="Démarrer maintenant">
+              <i class="fas fa-play"></i>
+            </button>`
+          : ''
+        }
+        ${isPaused
+          ? `<button class="btn-icon" onclick="resumeDownload('${download.id}')" title="Reprendre">
+              <i class="fas fa-play"></i>
+            </button>`
+          : ''
+        }
+        ${isError || isInterrupted
+          ? `<button class="btn-icon" onclick="retryDownload('${download.id}')" title="Relancer">
+              <i class="fas fa-redo"></i>
+            </button>`
+          : ''
+        }
+        ${isPostProcessFailed
+          ? `<button class="btn-icon" onclick="rerunPostProcess('${download.id}')" title="Relancer le post-traitement">
+              <i class="fas fa-tools"></i>
+            </button>`
+          : ''
+        }
+        ${status === 'downloading' || isPaused || isScheduled
           ? `<button class="btn-icon btn-danger" onclick="cancelDownload('${download.id}')" title="Annuler">
               <i class="fas fa-times"></i>
             </button>`
@@ -437,8 +645,8 @@ function updateDownloadUI(download) {
 
     ${!isDone && !isCancelled
       ? `<div class="progress-container">
-          <div class="progress-bar" style="width: ${download.progress}%">
-            <span class="progress-text">${download.progress}%</span>
+          <div class="progress-bar ${download.live ? 'live' : ''}" style="width: ${download.live ? 100 : download.progress}%">
+            <span class="progress-text">${progressLabel}</span>
           </div>
         </div>`
       : ''
@@ -447,26 +655,36 @@ function updateDownloadUI(download) {
     <div class="download-stats">
       <div class="stat-item">
         <span class="stat-label">Progression</span>
-        <span class="stat-value">${download.progress}%</span>
+        <span class="stat-value">${progressLabel}</span>
       </div>
       <div class="stat-item">
         <span class="stat-label">Vitesse</span>
-        <span class="stat-value">${isDone ? '---' : (download.speed || '0 KB/s')}</span>
+        <span class="stat-value" title="${download.bitrate ? `Débit du flux: ${formatBitrate(download.bitrate)}` : ''}">
+          ${isDone || isPaused ? '---' : formatSpeed(download.bytesPerSecond)}${download.bitrate && !isDone && !isPaused ? ` · ${formatBitrate(download.bitrate)}` : ''}
+        </span>
       </div>
       <div class="stat-item">
         <span class="stat-label">Taille</span>
-        <span class="stat-value">${download.currentSize || '0 B'} / ${download.fullSize || '???'}</span>
+        <span class="stat-value">${formatProgressSize(download)}</span>
       </div>
       <div class="stat-item">
-        <span class="stat-label">Temps restant</span>
-        <span class="stat-value">${isDone ? '0s' : (download.eta || '--')}</span>
+        ${isScheduled
+          ? `<span class="stat-label">Démarre dans</span>
+            <span class="stat-value schedule-countdown" data-start="${download.scheduledAt}" title="${formatDate(download.scheduledAt)}">
+              ${formatCountdown(download.scheduledAt)}
+            </span>`
+          : `<span class="stat-label">Temps restant</span>
+            <span class="stat-value">${isDone ? '0s' : formatRemaining(download)}</span>`
+        }
       </div>
     </div>
 
-    ${(isError || isInterrupted)
+    ${renderPipeline(download.postProcess)}
+
+    ${(isError || isInterrupted || isPostProcessFailed)
       ? `<div class="error-message">
           <i class="fas fa-exclamation-triangle"></i>
-          ${download.error || "Arrêt inattendu"}
+          ${escapeHtml(download.error || "Arrêt inattendu")}
         </div>`
       : ''
     }
@@ -480,6 +698,7 @@ function updateDownloadUI(download) {
       setTimeout(() => {
         el.remove();
         state.removeActiveDownload(download.id);
+        if (download.batch) removeEmptyBatchGroup(download.batch.id);
         
         // Remettre l'empty state si plus de downloads
         if (state.activeDownloads.size === 0) {
@@ -495,14 +714,118 @@ function updateDownloadUI(download) {
   }
 }
 
+// Afficher les positions de file et ranger les jobs en attente dans l'ordre de démarrage
+function renderQueuePositions() {
+  elements.activeList.querySelectorAll('.queue-position').forEach(badge => {
+    if (!state.queue.includes(badge.closest('.download-item').dataset.id)) {
+      badge.remove();
+    }
+  });
+
+  state.queue.forEach((id, index) => {
+    const el = document.getElementById(`dl-${id}`);
+    if (!el) return;
+
+    el.draggable = true;
+    const badge = el.querySelector('.queue-position');
+    if (badge) {
+      badge.innerHTML = `<i class="fas fa-grip-vertical"></i> #${index + 1}`;
+    }
+    elements.activeList.appendChild(el);
+  });
+}
+
+// Étapes de post-traitement (progression, sortie, erreur)
+function renderPipelineStep(step, index) {
+  return `
+    <span class="pipeline-step step-${step.status}" data-index="${index}" title="${escapeHtml(step.error || step.output || '')}">
+      <i class="fas ${STEP_ICONS[step.status] || 'fa-circle'}"></i>
+      ${step.output && step.status === 'done'
+        ? `<a href="/files/${step.output.split('/').map(encodeURIComponent).join('/')}" target="_blank">${step.step}</a>`
+        : step.step
+      }
+      ${step.status === 'running' ? `<span class="step-progress">${step.progress}%</span>` : ''}
+    </span>
+  `;
+}
+
+function renderPipeline(steps) {
+  if (!steps || steps.length === 0) return '';
+  return `<div class="pipeline">${steps.map(renderPipelineStep).join('')}</div>`;
+}
+
+function updatePostProcessStep(id, index, step) {
+  const el = document.querySelector(`#dl-${id} .pipeline-step[data-index="${index}"]`);
+  if (el) el.outerHTML = renderPipelineStep(step, index);
+}
+
+// Rafraîchir les comptes à rebours des jobs programmés
+function updateCountdowns() {
+  elements.activeList.querySelectorAll('.schedule-countdown').forEach(el => {
+    el.textContent = formatCountdown(el.dataset.start);
+  });
+}
+
+// ================= BATCHES =================
+// Groupe repliable regroupant les vidéos d'une playlist dans activeList
+function getBatchGroup(batch) {
+  let group = document.getElementById(`batch-${batch.id}`);
+  if (group) return group;
+
+  group = document.createElement('div');
+  group.id = `batch-${batch.id}`;
+  group.className = 'batch-group';
+  group.innerHTML = `
+    <div class="batch-header" onclick="toggleBatch('${batch.id}')" title="Replier / déplier">
+      <i class="fas fa-chevron-down batch-toggle"></i>
+      <i class="fas fa-list"></i>
+      <div class="batch-info">
+        <div class="batch-title"></div>
+        <div class="batch-meta">${batch.total} vidéo(s)</div>
+      </div>
+      <div class="progress-container">
+        <div class="progress-bar" style="width: 0%">
+          <span class="progress-text">0%</span>
+        </div>
+      </div>
+    </div>
+    <div class="batch-items"></div>
+  `;
+  group.querySelector('.batch-title').textContent = batch.title;
+  elements.activeList.prepend(group);
+  return group;
+}
+
+// Progression agrégée (événement SSE "batch")
+function renderBatch(batch) {
+  const group = batch && document.getElementById(`batch-${batch.id}`);
+  if (!group) return;
+
+  const done = batch.counts.completed || 0;
+  const failed = (batch.counts.error || 0) + (batch.counts['verification-failed'] || 0) + (batch.counts['postprocess-failed'] || 0);
+  const meta = [`${done}/${batch.jobs} terminée(s)`];
+  if (failed > 0) meta.push(`${failed} échec(s)`);
+  if (batch.skipped > 0) meta.push(`${batch.skipped} ignorée(s)`);
+  if (batch.bytesPerSecond > 0) meta.push(formatSpeed(batch.bytesPerSecond));
+
+  group.querySelector('.batch-meta').textContent = meta.join(' · ');
+  group.querySelector('.batch-header .progress-bar').style.width = `${batch.progress}%`;
+  group.querySelector('.batch-header .progress-text').textContent = `${batch.progress}%`;
+}
+
+function removeEmptyBatchGroup(batchId) {
+  const group = document.getElementById(`batch-${batchId}`);
+  if (group && !group.querySelector('.download-item')) group.remove();
+}
+
+window.toggleBatch = (id) => {
+  document.getElementById(`batch-${id}`)?.classList.toggle('collapsed');
+};
+
 // ================= DOWNLOAD ACTIONS =================
 async function cancelDownload(id) {
   try {
-    const response = await fetch('/cancel', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({ id })
-    });
+    const response = await connection.command('cancel', { id });
 
     if (response.ok) {
       toast.info('Téléchargement annulé');
@@ -516,6 +839,162 @@ async function cancelDownload(id) {
   }
 }
 
+async function pauseDownload(id) {
+  try {
+    const response = await connection.command('pause', { id });
+
+    if (response.ok) {
+      toast.info('Téléchargement en pause');
+    } else {
+      const data = await response.json();
+      toast.error(data.error || 'Erreur de mise en pause');
+    }
+  } catch (e) {
+    console.error('[PAUSE] Erreur:', e);
+    toast.error('Erreur de connexion');
+  }
+}
+
+async function resumeDownload(id) {
+  try {
+    const response = await connection.command('resume', { id });
+
+    if (response.ok) {
+      toast.info('Téléchargement repris');
+    } else {
+      const data = await response.json();
+      toast.error(data.error || 'Erreur de reprise');
+    }
+  } catch (e) {
+    console.error('[RESUME] Erreur:', e);
+    toast.error('Erreur de connexion');
+  }
+}
+
+async function retryDownload(id) {
+  try {
+    const response = await fetch(`/retry/${encodeURIComponent(id)}`, { method: 'POST' });
+
+    if (response.ok) {
+      toast.info('Téléchargement relancé');
+    } else {
+      const data = await response.json();
+      toast.error(data.error || 'Erreur de relance');
+    }
+  } catch (e) {
+    console.error('[RETRY] Erreur:', e);
+    toast.error('Erreur de connexion');
+  }
+}
+
+async function startNow(id) {
+  try {
+    const response = await fetch('/schedule', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ id, startAt: null })
+    });
+
+    if (response.ok) {
+      toast.info('Téléchargement placé en file d\'attente');
+    } else {
+      const data = await response.json();
+      toast.error(data.error || 'Erreur de démarrage');
+    }
+  } catch (e) {
+    console.error('[SCHEDULE] Erreur:', e);
+    toast.error('Erreur de connexion');
+  }
+}
+
+async function rerunPostProcess(id) {
+  try {
+    const response = await fetch(`/postprocess/${encodeURIComponent(id)}`, { method: 'POST' });
+
+    if (response.ok) {
+      toast.info('Post-traitement relancé');
+    } else {
+      const data = await response.json();
+      toast.error(data.error || 'Erreur de relance du post-traitement');
+    }
+  } catch (e) {
+    console.error('[POSTPROCESS] Erreur:', e);
+    toast.error('Erreur de connexion');
+  }
+}
+
+async function togglePin(id, pinned) {
+  try {
+    const response = await fetch(`/pin/${encodeURIComponent(id)}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ pinned })
+    });
+
+    if (response.ok) {
+      toast.info(pinned ? 'Fichier épinglé' : 'Fichier désépinglé');
+      loadHistory(state.currentPage);
+    } else {
+      const data = await response.json();
+      toast.error(data.error || 'Erreur d\'épinglage');
+    }
+  } catch (e) {
+    console.error('[PIN] Erreur:', e);
+    toast.error('Erreur de connexion');
+  }
+}
+
+// Affiche (ou masque) la liste des fichiers que le prochain passage de rétention supprimera
+async function toggleRetentionPreview() {
+  if (!elements.retentionPreview.hidden) {
+    elements.retentionPreview.hidden = true;
+    return;
+  }
+
+  try {
+    const response = await fetch('/retention/preview');
+    const data = await response.json();
+    if (!response.ok) {
+      toast.error(data.error || 'Erreur de chargement de l\'aperçu');
+      return;
+    }
+
+    elements.retentionPreview.innerHTML = data.removed.length === 0
+      ? `<p class="retention-empty"><i class="fas fa-check"></i> Aucun fichier ne sera supprimé au prochain nettoyage</p>`
+      : `
+        <p class="retention-summary">
+          ${data.removed.length} fichier(s) supprimé(s) au prochain nettoyage, ${formatFileSize(data.freed)} libérés
+        </p>
+        <ul>
+          ${data.removed.map(entry => `
+            <li>
+              <span class="file-name">${escapeHtml(entry.file)}</span>
+              <span class="retention-reason">${entry.reason === 'age' ? 'trop ancien' : 'moins récemment consulté'} • ${formatFileSize(entry.size)}</span>
+            </li>
+          `).join('')}
+        </ul>
+      `;
+    elements.retentionPreview.hidden = false;
+  } catch (e) {
+    console.error('[RETENTION] Erreur:', e);
+    toast.error('Erreur de connexion');
+  }
+}
+
+async function moveInQueue(id, position) {
+  try {
+    const response = await connection.command('reorder', { id, position });
+
+    if (!response.ok) {
+      const data = await response.json();
+      toast.error(data.error || 'Erreur de réorganisation');
+    }
+  } catch (e) {
+    console.error('[QUEUE] Erreur:', e);
+    toast.error('Erreur de connexion');
+  }
+}
+
 async function cancelAllDownloads() {
   if (!confirm('Voulez-vous vraiment annuler tous les téléchargements actifs ?')) {
     return;
@@ -558,31 +1037,95 @@ async function loadHistory(page = 1) {
         </div>
       `;
     } else {
-      elements.historyList.innerHTML = pageData.map(item => `
-        <div class="download-item completed">
+      elements.historyList.innerHTML = pageData.map(item => {
+        const isCompleted = item.status === 'completed';
+        const displayName = item.file || item.filename;
+
+        return `
+        <div class="download-item ${isCompleted ? 'completed' : ''} ${item.pinned ? 'pinned' : ''}">
           <div class="download-header">
             <div class="file-info">
-              <div class="file-icon success">
-                <i class="fas ${getFileIcon(item.filename)}"></i>
+              <div class="file-icon ${isCompleted ? 'success' : ''}">
+                <i class="fas ${getFileIcon(displayName)}"></i>
               </div>
               <div class="file-details">
-                <a href="/files/${item.filename}" target="_blank" class="file-name download-link">
-                  ${item.filename}
-                </a>
+                ${item.available
+                  ? `<a href="/files/${item.file.split('/').map(encodeURIComponent).join('/')}" target="_blank" class="file-name download-link">
+                      ${escapeHtml(displayName)}
+                    </a>`
+                  : `<div class="file-name">${escapeHtml(displayName)}</div>`
+                }
+                <div class="file-url" title="${escapeHtml(item.url)}">${escapeHtml(item.url)}</div>
                 <div class="file-meta">
-                  <span>${formatFileSize(item.size)}</span>
+                  <span>${item.size != null ? formatFileSize(item.size) : (item.totalBytes != null ? formatFileSize(item.totalBytes) : '???')}</span>
                   <span class="meta-separator">•</span>
                   <span>${formatDate(item.date)}</span>
+                  ${item.engine ? `<span class="meta-separator">•</span><span>${item.engine}</span>` : ''}
+                  ${isAdminView && item.owner ? `<span class="meta-separator">•</span><span class="file-owner"><i class="fas fa-user"></i> ${escapeHtml(item.owner)}</span>` : ''}
+                  ${item.duration != null ? `<span class="meta-separator">•</span><span>${formatDuration(item.duration)}</span>` : ''}
+                  ${item.available && item.subtitleFiles?.length
+                    ? `<span class="meta-separator">•</span>
+                      <span class="file-subtitles">
+                        <i class="fas fa-closed-captioning"></i>
+                        ${item.subtitleFiles.map(file => `<a href="/files/${file.split('/').map(encodeURIComponent).join('/')}" target="_blank">${escapeHtml(file.split('.').slice(-2).join('.'))}</a>`).join(' ')}
+                      </span>`
+                    : ''
+                  }
+                  ${item.checksum
+                    ? `<span class="meta-separator">•</span>
+                      <span class="file-checksum" title="${item.checksum.algorithm}: ${item.checksum.value}">
+                        <i class="fas ${item.checksum.verified ? 'fa-check' : 'fa-fingerprint'}"></i>
+                        ${item.checksum.algorithm}: ${item.checksum.value.substring(0, 16)}…
+                      </span>`
+                    : ''
+                  }
                 </div>
               </div>
             </div>
-            <span class="status-badge status-completed">
-              <i class="fas fa-check"></i>
-              Terminé
-            </span>
+            <div class="download-actions">
+              <span class="status-badge status-${item.status}">
+                <i class="fas ${STATUS_ICONS[item.status] || 'fa-question-circle'}"></i>
+                ${STATUS_LABELS[item.status] || 'Inconnu'}
+              </span>
+              ${['error', 'cancelled', 'interrupted', 'verification-failed'].includes(item.status)
+                ? `<button class="btn-icon" onclick="retryDownload('${item.id}')" title="Relancer">
+                    <i class="fas fa-redo"></i>
+                  </button>`
+                : ''
+              }
+              ${item.available
+                ? `<button class="btn-icon pin-btn ${item.pinned ? 'active' : ''}" onclick="togglePin('${item.id}', ${!item.pinned})"
+                    title="${item.pinned ? 'Désépingler' : 'Épingler (jamais supprimé par la rétention)'}">
+                    <i class="fas fa-thumbtack"></i>
+                  </button>`
+                : ''
+              }
+              ${item.status === 'postprocess-failed'
+                ? `<button class="btn-icon" onclick="rerunPostProcess('${item.id}')" title="Relancer le post-traitement">
+                    <i class="fas fa-tools"></i>
+                  </button>`
+                : ''
+              }
+            </div>
           </div>
+          ${renderPipeline(item.postProcess)}
+          ${item.purgedAt
+            ? `<div class="purged-message">
+                <i class="fas fa-broom"></i>
+                Supprimé par la rétention le ${formatDate(item.purgedAt)} (${item.purgeReason === 'age' ? 'fichier trop ancien' : 'bibliothèque pleine'})
+              </div>`
+            : ''
+          }
+          ${item.error
+            ? `<div class="error-message">
+                <i class="fas fa-exclamation-triangle"></i>
+                ${escapeHtml(item.error)}
+              </div>`
+            : ''
+          }
         </div>
-      `).join('');
+      `;
+      }).join('');
     }
 
     // Pagination controls
@@ -665,23 +1208,43 @@ async function handleFormSubmit(e) {
         }
       }
 
-      // Envoyer la requête
-      const response = await fetch('/download', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          url,
-          customFilename: urls.length === 1 ? formData.get('customFilename') : '',
-          referer: formData.get('referer'),
-          ua: formData.get('ua'),
-          noCheckCert: formData.get('noCheckCert') === 'on',
-          singleSegment: formData.get('singleSegment') === 'on',
-          cookies: formData.get('cookies')
-        })
+      // Envoyer la requête (la variante choisie ne vaut que pour une URL seule)
+      const isSingle = urls.length === 1;
+      const response = await connection.command('enqueue', {
+        url,
+        customFilename: isSingle ? formData.get('customFilename') : '',
+        referer: formData.get('referer'),
+        ua: formData.get('ua'),
+        noCheckCert: formData.get('noCheckCert') === 'on',
+        singleSegment: formData.get('singleSegment') === 'on',
+        cookies: formData.get('cookies'),
+        priority: formData.get('priority') || 'normal',
+        speedLimit: formData.get('speedLimit'),
+        checksum: formData.get('checksum'),
+        checksumUrl: formData.get('checksumUrl'),
+        proxy: formData.get('proxy'),
+        engine: formData.get('engine') || null,
+        variant: isSingle ? formData.get('variant') || null : null,
+        audioTrack: isSingle ? formData.get('audioTrack') || null : null,
+        maxHeight: formData.get('maxHeight') || null,
+        format: isSingle ? formData.get('format') || null : null,
+        container: formData.get('container') || null,
+        subtitles: formData.get('subtitles') || null,
+        subtitleFormat: formData.get('subtitleFormat') || 'srt',
+        autoSubtitles: formData.get('autoSubtitles') === 'on',
+        embedSubtitles: formData.get('embedSubtitles') === 'on',
+        playlist: formData.get('playlist') === 'on',
+        items: formData.get('items') || null,
+        skipDownloaded: formData.get('redownload') !== 'on',
+        startAt: formData.get('startQuiet') === 'on'
+          ? 'quiet'
+          : (formData.get('startAt') ? new Date(formData.get('startAt')).toISOString() : null)
       });
 
       if (response.ok) {
         successCount++;
+        const data = await response.json();
+        if (data.batchId) toast.info(`${data.title} : ${data.message}`);
       } else {
         const data = await response.json();
         toast.error(data.error || 'Erreur serveur');
@@ -697,6 +1260,8 @@ async function handleFormSubmit(e) {
   // Reset form
   e.target.reset();
   elements.uaInput.value = navigator.userAgent;
+  elements.variantPicker.hidden = true;
+  resetFormatSelect();
 
   // Feedback
   if (successCount > 0) {
@@ -710,12 +1275,116 @@ async function handleFormSubmit(e) {
   elements.submitBtn.innerHTML = '<i class="fas fa-bolt"></i> <span>Analyser et télécharger</span>';
 }
 
+// ================= STREAM VARIANTS =================
+// Liste les variantes d'une master playlist HLS ou les représentations d'un manifeste DASH
+// pour que l'utilisateur choisisse la qualité et la piste audio
+async function probeStreamVariants() {
+  const urls = elements.urlInput.value.trim().split(/\s+/).filter(Boolean);
+  elements.variantPicker.hidden = true;
+  const manifest = urls.length === 1 && (/\.m3u8/i.test(urls[0]) ? 'hls' : /\.mpd/i.test(urls[0]) ? 'dash' : null);
+  if (!manifest) return;
+
+  try {
+    const params = new URLSearchParams({ url: urls[0] });
+    if (elements.maxHeightSelect.value) params.set('maxHeight', elements.maxHeightSelect.value);
+
+    const response = await fetch(`/probe/${manifest}?${params}`);
+    const probe = await response.json();
+    if (!response.ok) {
+      toast.warning(probe.error || 'Manifeste illisible');
+      return;
+    }
+    if (probe.variants.length === 0) return;
+
+    const auto = probe.variants[probe.selected];
+    elements.variantSelect.innerHTML = '';
+    elements.variantSelect.appendChild(new Option(`Automatique (${auto.label})`, ''));
+    probe.variants.forEach(variant => {
+      const details = [variant.width && `${variant.width}x${variant.height}`, variant.codecs].filter(Boolean).join(' · ');
+      elements.variantSelect.appendChild(new Option(details ? `${variant.label} — ${details}` : variant.label, variant.index));
+    });
+
+    elements.audioTrackSelect.innerHTML = '';
+    elements.audioTrackSelect.appendChild(new Option('Automatique', ''));
+    probe.audio.forEach(track => {
+      const name = track.label || [track.name, track.language && `(${track.language})`].filter(Boolean).join(' ');
+      elements.audioTrackSelect.appendChild(new Option(name || `Piste ${track.index + 1}`, track.index));
+    });
+    elements.audioTrackGroup.hidden = probe.audio.length === 0;
+    fillSubtitleLanguages(probe.subtitles);
+
+    elements.variantPicker.hidden = false;
+  } catch (e) {
+    console.error('[VARIANTS] Erreur:', e);
+  }
+}
+
+// ================= FORMATS =================
+function resetFormatSelect() {
+  elements.formatSelect.innerHTML = '<option value="">Meilleure qualité (défaut)</option>';
+}
+
+// Interroge yt-dlp (via /probe) et remplit la liste des formats de l'URL saisie
+async function probeFormats() {
+  const urls = elements.urlInput.value.trim().split(/\s+/).filter(Boolean);
+  if (urls.length !== 1) {
+    toast.warning('Saisissez une seule URL pour lister ses formats');
+    return;
+  }
+
+  elements.probeFormatsBtn.disabled = true;
+  elements.probeFormatsBtn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Analyse...';
+
+  try {
+    const response = await fetch(`/probe?${new URLSearchParams({ url: urls[0] })}`);
+    const probe = await response.json();
+    if (!response.ok) {
+      toast.error(probe.error || 'Analyse impossible');
+      return;
+    }
+
+    resetFormatSelect();
+    probe.formats.forEach(format => {
+      // Un format vidéo seul est complété par la meilleure piste audio
+      const value = format.type === 'video' ? `${format.id}+bestaudio/${format.id}` : format.id;
+      elements.formatSelect.appendChild(new Option(format.label, value));
+    });
+    fillSubtitleLanguages(probe.subtitles, probe.automaticCaptions);
+    toast.success(`${probe.formats.length} format(s) pour « ${probe.title || urls[0]} »`);
+  } catch (e) {
+    console.error('[FORMATS] Erreur:', e);
+    toast.error('Analyse impossible');
+  } finally {
+    elements.probeFormatsBtn.disabled = false;
+    elements.probeFormatsBtn.innerHTML = '<i class="fas fa-search"></i> Analyser';
+  }
+}
+
+// ================= SUBTITLES =================
+// Propose dans le champ "Sous-titres" les langues renvoyées par /probe ou /probe/hls
+function fillSubtitleLanguages(tracks = [], automatic = []) {
+  elements.subtitleLanguages.innerHTML = '';
+  const seen = new Set();
+  [...tracks, ...automatic].forEach(track => {
+    if (!track.language || seen.has(track.language)) return;
+    seen.add(track.language);
+    const isAuto = !tracks.includes(track);
+    elements.subtitleLanguages.appendChild(new Option(
+      [track.name, isAuto && '(automatique)'].filter(Boolean).join(' ') || track.language,
+      track.language
+    ));
+  });
+}
+
 // ================= CONFIG =================
 async function loadConfig() {
   try {
     const response = await fetch('/config');
     const config = await response.json();
     state.allowedDomains = config.allowedDomains || [];
+    (config.engines || []).forEach(engine => {
+      elements.engineSelect.appendChild(new Option(engine, engine));
+    });
     console.log('[CONFIG] Chargé:', config);
   } catch (e) {
     console.error('[CONFIG] Erreur:', e);
@@ -727,6 +1396,12 @@ function initializeEventListeners() {
   // Form submission
   elements.downloadForm.addEventListener('submit', handleFormSubmit);
 
+  // Variantes HLS / DASH : analyse du manifeste dès que l'URL est saisie
+  elements.urlInput.addEventListener('change', probeStreamVariants);
+  elements.maxHeightSelect.addEventListener('change', probeStreamVariants);
+  elements.urlInput.addEventListener('change', resetFormatSelect);
+  elements.probeFormatsBtn.addEventListener('click', probeFormats);
+
   // Advanced toggle
   elements.advToggle.addEventListener('click', () => {
     elements.advOptions.classList.toggle('show');
@@ -736,11 +1411,53 @@ function initializeEventListeners() {
       : 'rotate(0deg)';
   });
 
+  // Drag & drop pour réordonner la file d'attente
+  let draggedId = null;
+
+  elements.activeList.addEventListener('dragstart', (e) => {
+    const item = e.target.closest('.download-item[draggable="true"]');
+    if (!item) return;
+    draggedId = item.dataset.id;
+    item.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+  });
+
+  elements.activeList.addEventListener('dragover', (e) => {
+    const target = e.target.closest('.download-item[draggable="true"]');
+    if (!draggedId || !target) return;
+    e.preventDefault();
+    target.classList.add('drag-over');
+  });
+
+  elements.activeList.addEventListener('dragleave', (e) => {
+    e.target.closest('.download-item')?.classList.remove('drag-over');
+  });
+
+  elements.activeList.addEventListener('drop', (e) => {
+    const target = e.target.closest('.download-item[draggable="true"]');
+    if (!draggedId || !target) return;
+    e.preventDefault();
+    target.classList.remove('drag-over');
+
+    const position = state.queue.indexOf(target.dataset.id) + 1;
+    if (target.dataset.id !== draggedId && position > 0) {
+      moveInQueue(draggedId, position);
+    }
+  });
+
+  elements.activeList.addEventListener('dragend', () => {
+    elements.activeList.querySelectorAll('.dragging, .drag-over').forEach(el => {
+      el.classList.remove('dragging', 'drag-over');
+    });
+    draggedId = null;
+  });
+
   // Cancel all
   elements.cancelAllBtn.addEventListener('click', cancelAllDownloads);
 
   // Clear history
   elements.clearHistoryBtn.addEventListener('click', clearHistory);
+  elements.retentionPreviewBtn?.addEventListener('click', toggleRetentionPreview);
 
   // Refresh buttons
   elements.refreshActiveBtn?.addEventListener('click', () => {
@@ -768,15 +1485,85 @@ function initializeEventListeners() {
   });
 
   // Settings button (placeholder)
+  elements.logoutBtn?.addEventListener('click', logout);
+
   document.getElementById('settingsBtn')?.addEventListener('click', () => {
     toast.info('Paramètres à venir...');
   });
 }
 
+// ================= AUTH =================
+// Affiche le formulaire de connexion ; l'initialisation reprend une fois connecté
+function showLogin() {
+  elements.loginOverlay.hidden = false;
+  elements.loginForm.querySelector('input[name="username"]').focus();
+
+  elements.loginForm.onsubmit = async (e) => {
+    e.preventDefault();
+    const formData = new FormData(elements.loginForm);
+
+    try {
+      const response = await fetch('/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          username: formData.get('username'),
+          password: formData.get('password')
+        })
+      });
+
+      if (response.ok) {
+        elements.loginOverlay.hidden = true;
+        elements.loginForm.reset();
+        initialize();
+      } else {
+        const data = await response.json();
+        toast.error(data.error || 'Connexion refusée');
+      }
+    } catch (e) {
+      console.error('[AUTH] Erreur:', e);
+      toast.error('Erreur de connexion');
+    }
+  };
+}
+
+// Utilisateur connecté et occupation de son quota dans l'en-tête
+function renderAccount(account) {
+  if (!account) return;
+  const usage = account.quota > 0
+    ? `${formatFileSize(account.used)} / ${formatFileSize(account.quota)}`
+    : formatFileSize(account.used);
+  elements.accountInfo.innerHTML = `
+    <i class="fas ${account.role === 'admin' ? 'fa-user-shield' : 'fa-user'}"></i>
+    <span class="account-name">${escapeHtml(account.username)}</span>
+    <span class="account-usage ${account.quota > 0 && account.used >= account.quota ? 'full' : ''}">${usage}</span>
+  `;
+  elements.accountInfo.hidden = false;
+}
+
+async function logout() {
+  await fetch('/auth/logout', { method: 'POST' }).catch(() => {});
+  window.location.reload();
+}
+
 // ================= INITIALIZATION =================
 async function initialize() {
   console.log('[APP] Initialisation...');
 
+  // Session requise si le serveur a l'authentification activée
+  try {
+    const auth = await (await fetch('/auth/me')).json();
+    if (auth.authEnabled && !auth.user) {
+      showLogin();
+      return;
+    }
+    elements.logoutBtn.hidden = !auth.authEnabled;
+    isAdminView = auth.authEnabled && (auth.scopes.includes('*') || auth.scopes.includes('admin'));
+    renderAccount(auth.account);
+  } catch (e) {
+    console.error('[AUTH] Erreur:', e);
+  }
+
   // Set default UA
   elements.uaInput.value = navigator.userAgent;
 
@@ -789,16 +1576,18 @@ async function initialize() {
   // Load history
   await loadHistory();
 
-  // Connect SSE
-  sseManager = new SSEManager();
+  // Connexion temps réel
+  connection = new ConnectionManager();
+
+  setInterval(updateCountdowns, 1000);
 
   console.log('[APP] Prêt');
 }
 
 // ================= CLEANUP =================
 window.addEventListener('beforeunload', () => {
-  if (sseManager) {
-    sseManager.disconnect();
+  if (connection) {
+    connection.disconnect();
   }
 });
 
@@ -810,4 +1599,10 @@ if (document.readyState === 'loading') {
 }
 
 // ================= EXPOSE FOR INLINE HANDLERS =================
-window.cancelDownload = cancelDownload;
\ No newline at end of file
+window.cancelDownload = cancelDownload;
+window.pauseDownload = pauseDownload;
+window.resumeDownload = resumeDownload;
+window.retryDownload = retryDownload;
+window.startNow = startNow;
+window.rerunPostProcess = rerunPostProcess;
+window.togglePin = togglePin;
\ No newline at end of file
@@ -1,11 +1,17 @@
 require("dotenv").config();
 const express = require("express");
 const cors = require("cors");
+const http = require("http");
 const { spawn } = require("child_process");
+const crypto = require("crypto");
 const path = require("path");
 const fs = require("fs").promises;
 const fsSync = require("fs");
 const { v4: uuidv4 } = require("uuid");
+const YAML = require("yaml");
+const { fetch: undiciFetch, ProxyAgent, Socks5ProxyAgent } = require("undici");
+const { XMLParser } = require("fast-xml-parser");
+const { WebSocketServer } = require("ws");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -39,15 +45,308 @@ const MAX_FILE_SIZE = process.env.MAX_FILE_SIZE || "5G";
 const MAX_CONCURRENT_DOWNLOADS = parseInt(process.env.MAX_CONCURRENT_DOWNLOADS || "5");
 const RETRY_ATTEMPTS = parseInt(process.env.RETRY_ATTEMPTS || "2");
 const RETRY_DELAY = parseInt(process.env.RETRY_DELAY || "3000");
+const AUTO_RESUME_ON_START = process.env.AUTO_RESUME_ON_START === "true";
+// Politesse par domaine (0 = pas de limite), surchargeable par profil de domaine
+const PER_DOMAIN_MAX_CONCURRENT = parseInt(process.env.PER_DOMAIN_MAX_CONCURRENT || "0");
+const PER_DOMAIN_MIN_DELAY = parseInt(process.env.PER_DOMAIN_MIN_DELAY || "0");
+const DOMAIN_PROFILES_FILE = process.env.DOMAIN_PROFILES_FILE || path.join(__dirname, "domain_profiles.json");
+// Bande passante : limite globale (0 = illimitée) et plages horaires "08:00-18:00=2M,18:00-08:00=0"
+const SPEED_LIMIT = process.env.SPEED_LIMIT || "0";
+const SPEED_SCHEDULE = process.env.SPEED_SCHEDULE || "";
+const SPEED_SCHEDULE_INTERVAL = 60 * 1000;
+// Plage creuse utilisée par les jobs différés (startAt: "quiet")
+const QUIET_HOURS = process.env.QUIET_HOURS || "01:00-06:00";
+// Post-traitements par catégorie (JSON : { "video": ["remux:mkv"] }) et scripts utilisateur autorisés
+const POSTPROCESS_FILE = process.env.POSTPROCESS_FILE || path.join(__dirname, "postprocess.json");
+const POSTPROCESS_SCRIPTS_DIR = process.env.POSTPROCESS_SCRIPTS_DIR || path.join(__dirname, "scripts");
+// Authentification : clés d'API "nom:clé:scopes" séparées par ";" et compte de l'interface web
+const API_KEYS = process.env.API_KEYS || "";
+const UI_USERNAME = process.env.UI_USERNAME || "admin";
+const UI_PASSWORD = process.env.UI_PASSWORD || "";
+const SESSION_TTL = parseInt(process.env.SESSION_TTL || "43200"); // secondes
+// Origines autorisées (CORS) : liste explicite + IDs de l'extension (chrome/moz-extension://)
+const CORS_ORIGINS = process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(",") : [];
+const EXTENSION_IDS = process.env.EXTENSION_IDS ? process.env.EXTENSION_IDS.split(",") : [];
+// Comptes utilisateurs (gérés par /users) et quota disque par défaut (0 = illimité)
+const USERS_FILE = process.env.USERS_FILE || path.join(__dirname, "users.json");
+const DEFAULT_USER_QUOTA = process.env.DEFAULT_USER_QUOTA || "0";
+// HLS / DASH : hauteur maximale de la variante choisie par défaut (0 = meilleure qualité disponible)
+const HLS_MAX_HEIGHT = parseInt(process.env.HLS_MAX_HEIGHT || "0");
+// Playlists / chaînes : nombre maximal de vidéos ajoutées en une fois (au-delà, préciser items)
+const PLAYLIST_MAX_ITEMS = parseInt(process.env.PLAYLIST_MAX_ITEMS || "200");
+// Moteurs de téléchargement supplémentaires (un module .js par moteur)
+const ENGINE_PLUGINS_DIR = process.env.ENGINE_PLUGINS_DIR || path.join(__dirname, "engines");
+// Rétention : âge maximal (jours) et taille maximale de la bibliothèque (0 = désactivé), fréquence du nettoyage
+const RETENTION_MAX_AGE_DAYS = process.env.RETENTION_MAX_AGE_DAYS || "0";
+const RETENTION_MAX_SIZE = process.env.RETENTION_MAX_SIZE || "0";
+const RETENTION_INTERVAL = parseInt(process.env.RETENTION_INTERVAL || "3600"); // secondes
+
+// ================= AUTH =================
+// Scopes : read (consultation), download (jobs), delete (suppression de fichiers,
+// annulation globale), admin (réglages) ; "*" = tous
+const SCOPES = ['read', 'download', 'delete', 'admin'];
+const SESSION_COOKIE = "wm_session";
+const PUBLIC_PATHS = ['/health', '/auth/login', '/auth/logout', '/auth/me'];
+const ALLOWED_ORIGINS = [
+  ...CORS_ORIGINS,
+  ...EXTENSION_IDS.flatMap(id => [`chrome-extension://${id}`, `moz-extension://${id}`])
+];
+// Sans EXTENSION_IDS, toute extension est acceptée pour que l'extension fournie marche d'emblée
+const EXTENSION_ORIGIN_PATTERN = /^(chrome|moz)-extension:\/\/[\w-]+$/;
+
+const USERNAME_PATTERN = /^[a-z0-9_-]{2,32}$/i; // Sert aussi de nom de dossier de téléchargement
+const ROLE_SCOPES = { admin: ['*'], user: ['read', 'download', 'delete'] };
+const PERSONAL_KEY_SCOPES = ['read', 'download'];
+
+const apiKeys = new Map(); // sha256(clé) -> { name, scopes }
+const sessions = new Map(); // jeton -> { user, scopes, expires }
+const users = new Map(); // nom -> { passwordHash, role, quota, apiKeyHash }
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function loadApiKeys() {
+  API_KEYS.split(";").map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const [name, key, scopes = "read"] = entry.split(":");
+    const list = scopes.split(",").map(scope => scope.trim());
+
+    if (!USERNAME_PATTERN.test(name) || !key || !list.every(scope => scope === "*" || SCOPES.includes(scope))) {
+      log('WARN', `Clé d'API ignorée (format nom:clé:scopes, scopes: ${SCOPES.join(', ')}): ${name}`);
+      return;
+    }
+    apiKeys.set(hashToken(key), { name, scopes: list });
+  });
+
+  if (!isAuthEnabled()) {
+    log('WARN', "Aucune clé d'API ni UI_PASSWORD : l'API est accessible sans authentification");
+  } else {
+    log('INFO', `Authentification active: ${apiKeys.size} clé(s) d'API${UI_PASSWORD ? ', connexion web' : ''}`);
+  }
+
+  if (EXTENSION_IDS.length === 0) {
+    log('WARN', "EXTENSION_IDS vide : les requêtes de toute extension de navigateur sont acceptées (renseigner l'ID de l'extension pour restreindre)");
+  }
+}
+
+function isAuthEnabled() {
+  return apiKeys.size > 0 || !!UI_PASSWORD || users.size > 0;
+}
+
+function hasScope(auth, scope) {
+  return auth.scopes.includes("*") || auth.scopes.includes(scope);
+}
+
+function isAdmin(auth) {
+  return hasScope(auth, "admin");
+}
+
+// Propriétaire des jobs créés par la requête (null sans authentification : dossier racine)
+function requestOwner(req) {
+  return req.auth.type === "none" ? null : req.auth.name;
+}
+
+// Un job (ou fichier) n'est visible que par son propriétaire et les admins
+function canAccess(auth, owner) {
+  return isAdmin(auth) || (owner ?? null) === (auth.type === "none" ? null : auth.name);
+}
+
+function parseCookies(header = "") {
+  return Object.fromEntries(header.split(";").filter(Boolean).map(cookie => {
+    const index = cookie.indexOf("=");
+    const value = cookie.slice(index + 1).trim();
+    try {
+      return [cookie.slice(0, index).trim(), decodeURIComponent(value)];
+    } catch {
+      return [cookie.slice(0, index).trim(), value]; // Encodage invalide : valeur brute
+    }
+  }));
+}
+
+function getSession(req) {
+  const token = parseCookies(req.headers.cookie)[SESSION_COOKIE];
+  const session = token && sessions.get(token);
+  if (!session) return null;
+
+  if (session.expires <= Date.now()) {
+    sessions.delete(token);
+    return null;
+  }
+  return { token, ...session };
+}
+
+// Une page tierce ne peut rien déclencher, y compris par une requête sans preflight
+function isAllowedOrigin(origin, selfOrigin) {
+  return !origin || ALLOWED_ORIGINS.includes(origin) || origin === selfOrigin ||
+    (EXTENSION_IDS.length === 0 && EXTENSION_ORIGIN_PATTERN.test(origin));
+}
+
+function checkOrigin(req, res, next) {
+  const origin = req.headers.origin;
+  if (isAllowedOrigin(origin, `${req.protocol}://${req.get("host")}`)) {
+    return next();
+  }
+
+  log('WARN', `Origine refusée: ${origin}`, { method: req.method, path: req.path });
+  res.status(403).json({ error: "Origine non autorisée" });
+}
+
+// Clé d'API (X-API-Key ou Authorization: Bearer) ou cookie de session → req.auth
+function authenticate(req, res, next) {
+  if (!isAuthEnabled()) {
+    req.auth = { name: "anonymous", scopes: ["*"], type: "none" };
+    return next();
+  }
+
+  const authorization = req.headers.authorization || "";
+  const key = req.headers["x-api-key"] || (authorization.startsWith("Bearer ") ? authorization.slice(7) : null);
+
+  if (key) {
+    const entry = apiKeys.get(hashToken(key)) || findPersonalKey(key);
+    if (!entry) {
+      log('WARN', "Clé d'API invalide", { path: req.path, ip: req.ip });
+      return res.status(401).json({ error: "Clé d'API invalide" });
+    }
+    req.auth = { ...entry, type: "key" };
+    return next();
+  }
+
+  const session = getSession(req);
+  if (!session) {
+    return res.status(401).json({ error: "Authentification requise" });
+  }
+
+  req.auth = { name: session.user, scopes: session.scopes, type: "session" };
+  next();
+}
+
+function requireScope(scope) {
+  return (req, res, next) => {
+    if (hasScope(req.auth, scope)) return next();
+    log('WARN', `Accès refusé à ${req.auth.name} (scope ${scope} requis)`, { method: req.method, path: req.path });
+    res.status(403).json({ error: `Permission insuffisante (scope ${scope} requis)` });
+  };
+}
+
+// Toutes les routes hors PUBLIC_PATHS : read pour les lectures, download pour le reste ;
+// les routes destructives ajoutent leur propre requireScope
+function protect(req, res, next) {
+  if (PUBLIC_PATHS.includes(req.path)) return next();
+
+  authenticate(req, res, () => {
+    requireScope(req.method === "GET" || req.method === "HEAD" ? "read" : "download")(req, res, next);
+  });
+}
+
+// ================= USERS =================
+// Comptes de USERS_FILE : mot de passe (scrypt), rôle, quota disque et clé d'API personnelle.
+// Le compte UI_USERNAME / UI_PASSWORD du .env reste un administrateur de secours.
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  return `scrypt:${salt}:${crypto.scryptSync(String(password), salt, 64).toString("hex")}`;
+}
+
+function verifyPassword(password, stored) {
+  const [, salt, hash] = String(stored || "").split(":");
+  if (!salt || !hash) return false;
+  return crypto.timingSafeEqual(crypto.scryptSync(String(password), salt, 64), Buffer.from(hash, "hex"));
+}
+
+async function loadUsers() {
+  try {
+    const stored = JSON.parse(await fs.readFile(USERS_FILE, 'utf8'));
+    Object.entries(stored).forEach(([name, user]) => users.set(name, user));
+    log('INFO', `Comptes utilisateurs chargés: ${users.size}`);
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      log('ERROR', 'Erreur chargement comptes utilisateurs:', e.message);
+    }
+  }
+}
+
+async function saveUsers() {
+  const tmpFile = `${USERS_FILE}.tmp`;
+  await fs.writeFile(tmpFile, JSON.stringify(Object.fromEntries(users), null, 2), { mode: 0o600 });
+  await fs.rename(tmpFile, USERS_FILE);
+}
+
+function findPersonalKey(key) {
+  const hash = hashToken(key);
+  for (const [name, user] of users) {
+    if (user.apiKeyHash === hash) return { name, scopes: PERSONAL_KEY_SCOPES };
+  }
+  return null;
+}
+
+// Sessions ouvertes d'un compte modifié ou supprimé
+function revokeSessions(name) {
+  sessions.forEach((session, token) => {
+    if (session.user === name) sessions.delete(token);
+  });
+}
+
+// Quota en octets (0 = illimité) : celui du compte, sinon DEFAULT_USER_QUOTA
+function getUserQuota(name) {
+  const quota = users.get(name)?.quota;
+  return quota != null ? quota : (parseSize(DEFAULT_USER_QUOTA) || 0);
+}
+
+async function dirSize(dir) {
+  let entries;
+  try {
+    entries = await fs.readdir(dir, { withFileTypes: true });
+  } catch {
+    return 0;
+  }
+
+  const sizes = await Promise.all(entries.map(async entry => {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return dirSize(entryPath);
+    try {
+      return (await fs.stat(entryPath)).size;
+    } catch {
+      return 0;
+    }
+  }));
+  return sizes.reduce((total, size) => total + size, 0);
+}
+
+async function describeUser(name) {
+  const user = users.get(name) || {};
+  return {
+    username: name,
+    role: user.role || (name === UI_USERNAME ? 'admin' : 'user'),
+    quota: getUserQuota(name),
+    used: await dirSize(ownerDir(name)),
+    hasApiKey: !!user.apiKeyHash,
+    activeJobs: Array.from(activeDownloads.values()).filter(d => d.info.owner === name).length
+  };
+}
 
 // ================= MIDDLEWARE =================
 app.use((req, res, next) => {
   console.log(`[DEBUG_REQ] ${req.method} ${req.url}`);
   next();
 });
-app.use(cors());
+app.use(checkOrigin);
+app.use(cors({ origin: true, credentials: true })); // Origine déjà filtrée par checkOrigin
 app.use(express.json({ limit: '10mb' }));
 app.use(express.static("public"));
+app.use(protect);
+// /files/<utilisateur>/… : chacun ne voit que son dossier, les admins voient tout
+app.use("/files", (req, res, next) => {
+  const [folder, ...rest] = req.path.split("/").filter(Boolean);
+  if (isAdmin(req.auth) || (rest.length > 0 && folder === ownerFolder(requestOwner(req)))) return next();
+  res.status(404).json({ error: "Fichier introuvable" });
+});
+app.use("/files", (req, res, next) => {
+  try {
+    touchLibraryFile(decodeURIComponent(req.path).replace(/^\/+/, ""));
+  } catch {
+    // Chemin mal encodé : pas de fichier à marquer, express.static répondra 404
+  }
+  next();
+});
 app.use("/files", express.static("downloads"));
 
 // Error handling middleware
@@ -58,7 +357,17 @@ app.use((err, req, res, next) => {
 
 // ================= STORAGE =================
 const downloadsDir = path.join(__dirname, "downloads");
-const STATE_FILE = path.join(__dirname, "active_downloads.json");
+const HISTORY_FILE = path.join(__dirname, "downloads_history.jsonl");
+const STORE_KEY_FILE = path.join(__dirname, ".store_key");
+
+function ownerFolder(owner) {
+  return owner ? sanitizeFilename(owner) : null;
+}
+
+// Dossier de téléchargement d'un utilisateur (racine de downloads/ sans authentification)
+function ownerDir(owner) {
+  return owner ? path.join(downloadsDir, ownerFolder(owner)) : downloadsDir;
+}
 
 async function ensureDirectories() {
   try {
@@ -71,142 +380,954 @@ async function ensureDirectories() {
 // ================= STATE & PERSISTENCE =================
 let activeDownloads = new Map(); // id -> { info, config, process, retryCount }
 let downloadQueue = []; // Array of ids waiting to start
-let clients = []; // SSE clients
+let clients = []; // Clients SSE et WebSocket (voir SSE)
+
+const PRIORITIES = { high: 0, normal: 1, low: 2 };
+
+function priorityRank(id) {
+  return PRIORITIES[activeDownloads.get(id)?.info.priority] ?? PRIORITIES.normal;
+}
+
+// Insère un job après tous les jobs de priorité supérieure ou égale
+function enqueueDownload(id) {
+  const rank = priorityRank(id);
+  const index = downloadQueue.findIndex(qid => priorityRank(qid) > rank);
+
+  if (index === -1) {
+    downloadQueue.push(id);
+  } else {
+    downloadQueue.splice(index, 0, id);
+  }
+  broadcastQueue();
+}
+
+function broadcastQueue() {
+  broadcast({ type: "queue", queue: downloadQueue });
+}
+
+// Jobs de la file visibles par l'appelant (les siens, ou tous pour un admin)
+function visibleQueue(auth) {
+  return downloadQueue.filter(id => canAccess(auth, activeDownloads.get(id)?.info.owner));
+}
+
+// Job actif accessible à l'appelant ; un job d'un autre utilisateur est traité comme introuvable
+function getOwnDownload(req, id) {
+  const download = activeDownloads.get(id);
+  return download && canAccess(req.auth, download.info.owner) ? download : null;
+}
+
+let lastStartByDomain = new Map(); // domaine -> timestamp du dernier démarrage
+let queueTimer = null; // Réveil de processQueue quand un délai de politesse expire
+
+// Délai (ms) avant qu'un job puisse démarrer selon les limites de son domaine
+// 0 = démarrable, Infinity = domaine saturé (attendre une fin de job)
+function domainWaitTime(url, running, now) {
+  const { key, maxConcurrent, minDelay } = getDomainLimits(url);
+
+  if (maxConcurrent > 0) {
+    const sameDomain = running.filter(d => getDomainLimits(d.config.url).key === key).length;
+    if (sameDomain >= maxConcurrent) return Infinity;
+  }
+
+  const elapsed = now - (lastStartByDomain.get(key) || 0);
+  return minDelay > elapsed ? minDelay - elapsed : 0;
+}
+
+function scheduleQueueCheck(delay) {
+  clearTimeout(queueTimer);
+  queueTimer = setTimeout(() => {
+    queueTimer = null;
+    processQueue();
+  }, delay);
+}
 
 function processQueue() {
-  const runningCount = Array.from(activeDownloads.values()).filter(d =>
+  applyBandwidthLimits(); // Un job vient de se terminer ou de démarrer : nouvelle répartition
+
+  const running = Array.from(activeDownloads.values()).filter(d =>
     d.info.status === 'downloading' || d.info.status === 'retrying'
-  ).length;
+  );
 
-  if (runningCount < MAX_CONCURRENT_DOWNLOADS && downloadQueue.length > 0) {
-    const nextId = downloadQueue.shift();
-    log('INFO', `Dépilement file d'attente: démarrrage de ${nextId}`);
-    startDownload(nextId);
-    // Recursively check if we can start more
-    processQueue();
+  if (running.length >= MAX_CONCURRENT_DOWNLOADS || downloadQueue.length === 0) return;
+
+  // Premier job de la file dont le domaine n'est pas saturé
+  const now = Date.now();
+  let nextWait = Infinity;
+  const index = downloadQueue.findIndex(id => {
+    const wait = domainWaitTime(activeDownloads.get(id).config.url, running, now);
+    nextWait = Math.min(nextWait, wait);
+    return wait === 0;
+  });
+
+  if (index === -1) {
+    if (nextWait !== Infinity) scheduleQueueCheck(nextWait);
+    return;
   }
+
+  const [nextId] = downloadQueue.splice(index, 1);
+  lastStartByDomain.set(getDomainLimits(activeDownloads.get(nextId).config.url).key, now);
+  log('INFO', `Dépilement file d'attente: démarrrage de ${nextId}`);
+  broadcastQueue();
+  startDownload(nextId);
+  // Recursively check if we can start more
+  processQueue();
 }
 
-async function saveState() {
-  const data = Array.from(activeDownloads.values()).map(dl => dl.info);
+// ================= SECRETS =================
+// Chiffrement AES-256-GCM des données sensibles persistées (cookies).
+// Clé : STORE_ENCRYPTION_KEY, sinon clé aléatoire conservée dans .store_key
+let storeKey = null;
+
+async function loadStoreKey() {
+  if (process.env.STORE_ENCRYPTION_KEY) {
+    storeKey = crypto.createHash('sha256').update(process.env.STORE_ENCRYPTION_KEY).digest();
+    return;
+  }
+
+  try {
+    storeKey = Buffer.from((await fs.readFile(STORE_KEY_FILE, 'utf8')).trim(), 'base64');
+  } catch (e) {
+    if (e.code !== 'ENOENT') throw e;
+    storeKey = crypto.randomBytes(32);
+    await fs.writeFile(STORE_KEY_FILE, storeKey.toString('base64'), { mode: 0o600 });
+    log('INFO', 'Clé de chiffrement générée (.store_key)');
+  }
+}
+
+function encryptSecret(plain) {
+  if (!plain) return plain;
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', storeKey, iv);
+  const data = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+  return ['enc', 'v1', iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+}
+
+function decryptSecret(payload) {
+  if (!payload || !payload.startsWith('enc:v1:')) return payload;
+  const [, , iv, tag, data] = payload.split(':');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', storeKey, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+// ================= JOB STORE =================
+// Historique persistant en JSONL (append-only) : une ligne = un instantané de job.
+// À la relecture, le dernier instantané de chaque id l'emporte.
+const JOB_STATUSES = [
+  'queued', 'scheduled', 'downloading', 'retrying', 'paused', 'verifying', 'postprocessing',
+  'completed', 'error', 'cancelled', 'verification-failed', 'postprocess-failed', 'interrupted'
+];
+const TERMINAL_STATUSES = ['completed', 'error', 'cancelled', 'verification-failed', 'postprocess-failed'];
+
+// Progression numérique commune aux moteurs, à l'événement SSE et à /history (voir README) ;
+// tailles, débits et temps restant sont mis en forme par le client
+const EMPTY_PROGRESS = {
+  progress: 0,           // pourcentage entier, 0 à 100
+  bytes: 0,              // octets reçus (écrits par ffmpeg)
+  totalBytes: null,      // taille totale, null si inconnue
+  totalEstimated: false, // totalBytes est une estimation (yt-dlp "~", ffmpeg)
+  bytesPerSecond: null,  // débit courant, null hors transfert
+  eta: null,             // temps restant en secondes, null si inconnu
+  live: false,           // flux en direct : ni taille totale ni temps restant
+  position: null,        // secondes de média déjà écrites (ffmpeg)
+  bitrate: null          // débit du flux en bits/s (ffmpeg)
+};
+const PROGRESS_FIELDS = Object.keys(EMPTY_PROGRESS);
+
+// Champs de progression d'un job ; débit et temps restant n'ont de sens que pendant le transfert
+function progressSnapshot(info) {
+  const snapshot = Object.fromEntries(PROGRESS_FIELDS.map(field => [field, info[field] ?? EMPTY_PROGRESS[field]]));
+  if (info.status !== 'downloading') Object.assign(snapshot, { bytesPerSecond: null, eta: null });
+  return snapshot;
+}
+
+let jobStore = new Map(); // id -> dernier enregistrement connu
+let storeWriteChain = Promise.resolve(); // Sérialise les écritures sur HISTORY_FILE
+let storeLineCount = 0; // Lignes de HISTORY_FILE, pour déclencher la compaction
+const STORE_COMPACT_MIN_LINES = 1000;
+
+function appendJobRecord(record) {
+  storeWriteChain = storeWriteChain
+    .then(() => fs.appendFile(HISTORY_FILE, JSON.stringify(record) + "\n", 'utf8'))
+    .catch(e => log('ERROR', 'Erreur écriture historique:', e.message));
+
+  // Les instantanés s'accumulent sur un serveur qui tourne longtemps : compacter en route
+  storeLineCount++;
+  if (storeLineCount > Math.max(STORE_COMPACT_MIN_LINES, 2 * jobStore.size)) {
+    return compactJobStore();
+  }
+  return storeWriteChain;
+}
+
+// Réécrit le fichier avec un seul enregistrement par job
+function compactJobStore() {
+  storeLineCount = jobStore.size;
+  storeWriteChain = storeWriteChain
+    .then(async () => {
+      const tmpFile = HISTORY_FILE + ".tmp";
+      const lines = Array.from(jobStore.values()).map(r => JSON.stringify(r) + "\n").join("");
+      await fs.writeFile(tmpFile, lines, 'utf8');
+      await fs.rename(tmpFile, HISTORY_FILE);
+    })
+    .catch(e => log('ERROR', 'Erreur compaction historique:', e.message));
+  return storeWriteChain;
+}
+
+// Met à jour quelques champs d'un enregistrement sans passer par un job actif
+function updateJobRecord(id, fields) {
+  const record = jobStore.get(id);
+  if (!record) return storeWriteChain;
+  const updated = { ...record, ...fields, updatedAt: new Date().toISOString() };
+  jobStore.set(id, updated);
+  return appendJobRecord(updated);
+}
+
+// Fichier réellement produit sur disque (yt-dlp / ffmpeg ajoutent .mp4 ou le conteneur choisi),
+// relatif à downloads/ et préfixé par le dossier du propriétaire
+function getOutputFile(filename, engine, owner, container = null) {
+  const outputFile = ENGINE_REGISTRY.get(engine)?.outputFile;
+  const file = outputFile ? outputFile(filename, { container }) : filename;
+  return owner ? path.join(ownerFolder(owner), file) : file;
+}
+
+async function recordJob(info) {
+  const download = activeDownloads.get(info.id);
+  const previous = jobStore.get(info.id) || {};
+  const engine = info.engine || previous.engine;
+  const owner = info.owner ?? previous.owner ?? null;
+  const container = info.container ?? previous.container ?? null;
+  const file = getOutputFile(info.filename, engine, owner, container);
+  const now = new Date().toISOString();
+
+  const isTerminal = TERMINAL_STATUSES.includes(info.status);
+  const finishedAt = isTerminal
+    ? (previous.status === info.status && previous.finishedAt) || info.completedAt || now
+    : null;
+
+  const record = {
+    ...previous,
+    id: info.id,
+    url: info.url,
+    filename: info.filename,
+    file,
+    engine,
+    owner,
+    container,
+    batch: info.batch || previous.batch || null,
+    priority: info.priority || 'normal',
+    quality: info.quality || previous.quality || null,
+    status: info.status,
+    ...progressSnapshot(info),
+    fullSize: undefined, // Ancien libellé texte, remplacé par bytes / totalBytes
+    size: previous.size ?? null,
+    error: info.error || null,
+    errorCode: info.errorCode || null,
+    checksum: info.checksum !== undefined ? info.checksum : previous.checksum ?? null, // null : effacée (relance)
+    category: info.category || previous.category || null,
+    postProcess: info.postProcess || previous.postProcess || [],
+    subtitleFiles: previous.subtitleFiles || [],
+    scheduledAt: info.scheduledAt || null,
+    queuedAt: previous.queuedAt || info.queuedAt || now,
+    startedAt: info.startedAt || previous.startedAt || null,
+    finishedAt,
+    duration: finishedAt && info.startedAt
+      ? Math.round((new Date(finishedAt) - new Date(info.startedAt)) / 1000)
+      : null,
+    // Job actif ou tout juste terminé, relance comprise : plus rien de purgé à signaler
+    purgedAt: null,
+    purgeReason: null,
+    updatedAt: now
+  };
+
+  if (download?.config) {
+    record.page = download.config.referer || null;
+    record.originalFilename = download.config.originalFilename || previous.originalFilename || null;
+    record.retries = download.retryCount;
+    record.config = serializeConfig(download.config);
+  }
+
+  // Posé avant toute attente : les instantanés d'un job restent dans l'ordre des événements
+  jobStore.set(info.id, record);
+  const written = appendJobRecord(record);
+  if (info.status !== 'completed') return written;
+
+  // Taille réelle et sous-titres du fichier terminé, ajoutés ensuite à l'enregistrement
+  const details = { size: null };
+  try {
+    const { size } = await fs.stat(path.join(downloadsDir, file));
+    Object.assign(details, { size, bytes: size, totalBytes: size, totalEstimated: false });
+  } catch {
+    // Fichier absent : taille inconnue
+  }
+  const subtitles = (download?.config || previous.config)?.subtitles; // Job déjà retiré des actifs à la fin
+  if (subtitles && !subtitles.embed) {
+    details.subtitleFiles = await findSubtitleFiles(info.filename, owner);
+  }
+
+  if (jobStore.get(info.id)?.status !== 'completed') return written; // Relancé entre-temps
+  return updateJobRecord(info.id, details);
+}
+
+// Config complète du job, cookies et proxy (identifiants éventuels) chiffrés au repos
+function serializeConfig(config) {
+  return { ...config, cookies: encryptSecret(config.cookies), proxy: encryptSecret(config.proxy) };
+}
+
+function deserializeConfig(stored) {
   try {
-    await fs.writeFile(STATE_FILE, JSON.stringify(data, null, 2));
+    return { ...stored, cookies: decryptSecret(stored.cookies), proxy: decryptSecret(stored.proxy) };
   } catch (e) {
-    log('ERROR', 'Erreur sauvegarde état:', e.message);
+    log('WARN', 'Cookies / proxy illisibles (clé de chiffrement modifiée ?), job restauré sans', { error: e.message });
+    return { ...stored, cookies: undefined, proxy: undefined };
   }
 }
 
+// Reconstruit l'entrée activeDownloads d'un job à partir de son enregistrement
+function jobFromRecord(record) {
+  const info = {
+    id: record.id,
+    url: record.url,
+    filename: record.filename,
+    engine: record.engine,
+    owner: record.owner || null,
+    container: record.container || null,
+    batch: record.batch || null,
+    priority: record.priority || 'normal',
+    quality: record.quality || null,
+    speedLimit: record.config?.speedLimit || null,
+    status: record.status,
+    ...progressSnapshot({ ...record, status: null }),
+    error: record.error || undefined,
+    errorCode: record.errorCode || null,
+    checksum: record.checksum || null,
+    category: record.category || null,
+    postProcess: record.postProcess || [],
+    scheduledAt: record.scheduledAt || null,
+    queuedAt: record.queuedAt,
+    startedAt: record.startedAt
+  };
+
+  const config = record.config ? deserializeConfig(record.config) : null;
+  return { info, config, process: null, retryCount: 0 };
+}
+
+// Instantané de tous les jobs actifs (progression courante incluse)
+async function saveState() {
+  await Promise.all(Array.from(activeDownloads.values()).map(dl => recordJob(dl.info)));
+  await storeWriteChain;
+}
+
 async function loadState() {
   try {
-    await fs.access(STATE_FILE);
-    const content = await fs.readFile(STATE_FILE, 'utf8');
-    const data = JSON.parse(content);
+    const content = await fs.readFile(HISTORY_FILE, 'utf8');
 
-    data.forEach(info => {
-      if (info.status === 'downloading' || info.status === 'retrying') {
-        info.status = 'interrupted';
-        info.error = 'Arrêt du serveur';
-        info.speed = '0 KB/s';
-        info.eta = '--';
+    content.split("\n").filter(Boolean).forEach(line => {
+      try {
+        const record = JSON.parse(line);
+        jobStore.set(record.id, { ...jobStore.get(record.id), ...record });
+      } catch {
+        log('WARN', 'Ligne d\'historique illisible ignorée', { line: line.substring(0, 100) });
       }
-      activeDownloads.set(info.id, { info, process: null, retryCount: 0 });
     });
-
-    log('INFO', `État restauré : ${activeDownloads.size} téléchargements chargés`);
   } catch (e) {
     if (e.code !== 'ENOENT') {
-      log('ERROR', 'Erreur chargement état:', e.message);
+      log('ERROR', 'Erreur chargement historique:', e.message);
     }
   }
+
+  // Reconstruire la file d'attente à partir des jobs non terminés
+  const pending = Array.from(jobStore.values())
+    .filter(record => !TERMINAL_STATUSES.includes(record.status))
+    .sort((a, b) => new Date(a.queuedAt) - new Date(b.queuedAt));
+
+  pending.forEach(record => {
+    if (record.status === 'downloading' || record.status === 'retrying') {
+      record.status = 'interrupted';
+      record.error = 'Arrêt du serveur';
+    }
+
+    // AUTO_RESUME_ON_START : remettre les jobs interrompus en file d'attente
+    if (AUTO_RESUME_ON_START && record.status === 'interrupted' && record.config) {
+      record.status = 'queued';
+      record.error = null;
+    }
+
+    // Heure programmée passée pendant l'arrêt du serveur
+    if (record.status === 'scheduled' && new Date(record.scheduledAt) <= Date.now()) {
+      record.status = 'queued';
+    }
+
+    const download = jobFromRecord(record);
+    activeDownloads.set(record.id, download);
+
+    if (record.status === 'queued' || record.status === 'scheduled') {
+      if (!download.config) {
+        // Ancien enregistrement sans config : impossible à relancer
+        record.status = download.info.status = 'interrupted';
+        record.error = download.info.error = 'Configuration du job perdue';
+      } else if (record.status === 'scheduled') {
+        armScheduledStart(record.id);
+      } else {
+        enqueueDownload(record.id);
+      }
+    }
+
+    // Vérification coupée par l'arrêt : la relancer sur le fichier déjà téléchargé
+    if (record.status === 'verifying') {
+      verifyDownload(record.id);
+    } else if (record.status === 'postprocessing') {
+      runPostProcessing(record.id); // Les étapes déjà terminées sont sautées
+    }
+  });
+
+  await compactJobStore();
+  log('INFO', `Historique restauré : ${jobStore.size} jobs, ${activeDownloads.size} non terminés, ${downloadQueue.length} en file d'attente`);
 }
 
 // ================= SSE =================
+// clients regroupe les flux SSE et les connexions WebSocket : { id, auth, send(texte), jobs }
+// jobs : ids suivis (commande WebSocket subscribe), null pour tous les jobs accessibles
 app.get("/events", (req, res) => {
   res.setHeader("Content-Type", "text/event-stream");
   res.setHeader("Cache-Control", "no-cache");
   res.setHeader("Connection", "keep-alive");
   res.flushHeaders();
 
-  const clientId = Date.now();
-  clients.push({ id: clientId, res });
-
-  // Envoyer l'état actuel au nouveau client
-  const currentList = Array.from(activeDownloads.values()).map(dl => dl.info);
-  currentList.forEach(info => {
-    res.write(`data: ${JSON.stringify({ type: "update", download: info })}\n\n`);
-  });
+  const client = { id: Date.now(), auth: req.auth, send: text => res.write(`data: ${text}\n\n`), jobs: null };
+  clients.push(client);
+  sendCurrentState(client);
 
   req.on("close", () => {
-    clients = clients.filter(c => c.id !== clientId);
+    clients = clients.filter(c => c !== client);
   });
 });
 
+// État actuel pour un nouveau client (uniquement ses jobs, sauf admin)
+function sendCurrentState(client) {
+  const currentList = Array.from(activeDownloads.values())
+    .map(dl => dl.info)
+    .filter(info => canAccess(client.auth, info.owner) && (!client.jobs || client.jobs.has(info.id)));
+  currentList.forEach(info => {
+    client.send(JSON.stringify({ type: "update", download: info }));
+  });
+  new Set(currentList.filter(info => info.batch).map(info => info.batch.id)).forEach(batchId => {
+    client.send(JSON.stringify({ type: "batch", batch: batchSummary(batchId) }));
+  });
+  client.send(JSON.stringify({ type: "queue", queue: visibleQueue(client.auth) }));
+}
+
+// Propriétaire du job concerné par un événement (undefined pour les événements globaux)
+function eventOwner(data) {
+  if (data.download) return data.download.owner;
+  if (data.batch) return data.batch.owner;
+  if (data.id) return (activeDownloads.get(data.id)?.info || jobStore.get(data.id))?.owner;
+  return undefined;
+}
+
+// Filtre subscribe : l'événement concerne-t-il un job suivi (ou le lot d'un job suivi) ?
+function isSubscribed(client, data) {
+  if (!client.jobs) return true;
+  if (data.batch) {
+    return [...client.jobs].some(id => (activeDownloads.get(id)?.info || jobStore.get(id))?.batch?.id === data.batch.id);
+  }
+  const id = data.download?.id ?? data.id;
+  return id === undefined || client.jobs.has(id);
+}
+
 function broadcast(data) {
-  const message = `data: ${JSON.stringify(data)}\n\n`;
+  // Hors transfert, débit et temps restant ne sont plus valables
+  if (data.download && data.download.status !== 'downloading') {
+    Object.assign(data.download, { bytesPerSecond: null, eta: null });
+  }
+
+  const message = JSON.stringify(data);
+  const owner = eventOwner(data);
   clients.forEach(c => {
     try {
-      c.res.write(message);
+      if (data.type === 'queue') {
+        c.send(JSON.stringify({ ...data, queue: visibleQueue(c.auth) }));
+      } else if ((owner === undefined || canAccess(c.auth, owner)) && isSubscribed(c, data)) {
+        c.send(message);
+      }
     } catch (err) {
-      log('WARN', 'Erreur broadcast SSE', { clientId: c.id });
+      log('WARN', 'Erreur broadcast', { clientId: c.id });
     }
   });
 
-  // Sauvegarder l'état sur changements importants
-  if (data.type === 'status-change' ||
-    (data.download && !['downloading'].includes(data.download.status))) {
-    saveState();
+  // Progression agrégée du lot (playlist) auquel appartient le job
+  if (data.download?.batch) scheduleBatchUpdate(data.download.batch.id);
+
+  // Enregistrer dans l'historique sur changements importants
+  if (data.download && (data.type === 'status-change' ||
+    !['downloading'].includes(data.download.status))) {
+    recordJob(data.download);
   }
 }
 
-// ================= DOMAIN PROFILES =================
-const DOMAIN_PROFILES = {
-  "example.com": {
-    referer: "https://example.com/",
-    ua: "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
-    segments: 4
-  }
+// ================= WEBSOCKET =================
+// /ws : mêmes événements que /events sur une connexion unique, plus des commandes
+// { requestId, command, ...champs } dont la réponse { type: "response", requestId, status, body }
+// reprend celle de la route HTTP équivalente (voir README)
+const WS_PING_INTERVAL = 30 * 1000;
+const WS_MAX_PAYLOAD = 10 * 1024 * 1024; // Comme express.json
+// Un navigateur ne peut pas poser d'en-tête sur un WebSocket : la clé d'API voyage dans
+// Sec-WebSocket-Protocol ("web-wget", "key.<clé en base64url>") plutôt que dans l'URL,
+// que proxys et journaux d'accès conservent
+const WS_PROTOCOL = "web-wget";
+const WS_KEY_PREFIX = "key.";
+
+const WS_COMMANDS = {
+  enqueue: { scope: 'download', route: enqueueRoute },  // POST /download
+  cancel: { scope: 'download', route: cancelRoute },    // POST /cancel
+  pause: { scope: 'download', route: pauseRoute },      // POST /pause
+  resume: { scope: 'download', route: resumeRoute },    // POST /resume
+  reorder: { scope: 'download', route: reorderRoute },  // PATCH /queue
+  subscribe: { scope: 'read', run: subscribeClient }
 };
 
-function getDomainProfile(downloadUrl) {
+const wss = new WebSocketServer({
+  noServer: true,
+  maxPayload: WS_MAX_PAYLOAD,
+  // Ne jamais renvoyer le sous-protocole porteur de la clé
+  handleProtocols: protocols => protocols.has(WS_PROTOCOL) ? WS_PROTOCOL : false
+});
+let wsPingTimer = null;
+
+function rejectUpgrade(socket, status, error) {
+  const body = JSON.stringify({ error });
+  socket.end(`HTTP/1.1 ${status} ${http.STATUS_CODES[status]}\r\nContent-Type: application/json\r\n` +
+    `Content-Length: ${Buffer.byteLength(body)}\r\nConnection: close\r\n\r\n${body}`);
+}
+
+function protocolApiKey(req) {
+  const offered = (req.headers["sec-websocket-protocol"] || "").split(",").map(value => value.trim());
+  const encoded = offered.find(value => value.startsWith(WS_KEY_PREFIX));
+  return encoded ? Buffer.from(encoded.slice(WS_KEY_PREFIX.length), "base64url").toString("utf8") : null;
+}
+
+// Mêmes contrôles que checkOrigin + protect
+function handleUpgrade(req, socket, head) {
+  socket.on("error", () => socket.destroy()); // Client parti avant la fin de la poignée de main
+
   try {
-    const host = new URL(downloadUrl).hostname;
-    const domain = Object.keys(DOMAIN_PROFILES).find(d =>
-      host === d || host.endsWith("." + d)
-    );
-    return domain ? DOMAIN_PROFILES[domain] : null;
-  } catch {
-    return null;
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname !== "/ws") {
+      return rejectUpgrade(socket, 404, "Not found");
+    }
+
+    const origin = req.headers.origin;
+    const selfOrigin = `${socket.encrypted ? "https" : "http"}://${req.headers.host}`;
+    if (!isAllowedOrigin(origin, selfOrigin)) {
+      log('WARN', `Origine refusée: ${origin}`, { path: url.pathname });
+      return rejectUpgrade(socket, 403, "Origine non autorisée");
+    }
+
+    const protocolKey = protocolApiKey(req);
+    if (protocolKey && !req.headers["x-api-key"]) {
+      req.headers["x-api-key"] = protocolKey;
+    }
+    req.path = url.pathname;
+    req.ip = socket.remoteAddress;
+
+    let failure = null;
+    authenticate(req, { status: status => ({ json: body => { failure = { status, error: body.error }; } }) }, () => {});
+    if (failure) return rejectUpgrade(socket, failure.status, failure.error);
+    if (!hasScope(req.auth, 'read')) {
+      log('WARN', `Accès refusé à ${req.auth.name} (scope read requis)`, { path: url.pathname });
+      return rejectUpgrade(socket, 403, "Permission insuffisante (scope read requis)");
+    }
+
+    wss.handleUpgrade(req, socket, head, ws => openWsClient(ws, req));
+  } catch (err) {
+    log('WARN', 'Requête WebSocket invalide', { error: err.message, ip: socket.remoteAddress });
+    if (socket.writable) rejectUpgrade(socket, 400, "Requête invalide");
+    else socket.destroy();
   }
 }
 
-function defaultUA(ua) {
-  return ua || "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
+function openWsClient(ws, req) {
+  const client = {
+    id: uuidv4(),
+    auth: req.auth,
+    send: text => ws.send(text),
+    jobs: null,
+    ws,
+    req,
+    alive: true
+  };
+  clients.push(client);
+  sendCurrentState(client);
+
+  ws.on("pong", () => { client.alive = true; });
+  ws.on("message", (raw, isBinary) => {
+    if (!isBinary) handleWsCommand(client, raw.toString());
+  });
+  ws.on("close", () => {
+    clients = clients.filter(c => c !== client);
+  });
+  ws.on("error", err => log('WARN', 'Erreur WebSocket', { clientId: client.id, error: err.message }));
 }
 
-// ================= UTILITY FUNCTIONS =================
-function sanitizeFilename(filename) {
-  return filename.replace(/[^a-zA-Z0-9._-]/g, "_").substring(0, 255);
+// Exécute la route HTTP d'une commande ; seule la partie status/json de la réponse est utilisée
+function runRoute(route, auth, body) {
+  return new Promise((resolve, reject) => {
+    const res = {
+      statusCode: 200,
+      status(code) { res.statusCode = code; return res; },
+      json(payload) { resolve({ status: res.statusCode, body: payload }); return res; }
+    };
+    Promise.resolve(route({ body, auth }, res)).catch(reject);
+  });
 }
 
-function formatSize(bytes) {
-  if (bytes === 0) return "0 B";
-  const k = 1024;
-  const sizes = ["B", "KB", "MB", "GB", "TB"];
-  const i = Math.floor(Math.log(bytes) / Math.log(k));
-  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
+// ids : jobs à suivre ; null ou absent pour revenir à tous les jobs accessibles
+function subscribeClient(client, { ids }) {
+  if (ids != null && (!Array.isArray(ids) || !ids.every(id => typeof id === 'string'))) {
+    return { status: 400, body: { error: "ids doit être une liste d'identifiants de jobs ou null" } };
+  }
+
+  client.jobs = ids ? new Set(ids) : null;
+  sendCurrentState(client);
+  return { status: 200, body: { success: true, ids: ids || null } };
 }
 
-function isAllowedProtocol(url) {
+async function handleWsCommand(client, raw) {
+  let message;
   try {
-    const protocol = new URL(url).protocol;
-    return ["http:", "https:"].includes(protocol);
+    message = JSON.parse(raw);
   } catch {
-    return false;
+    message = null;
   }
-}
 
-function isDomainAllowed(url) {
-  if (ALLOWED_DOMAINS.length === 0) return true;
+  const { requestId = null, command, ...body } = message && typeof message === 'object' ? message : {};
+  const reply = (status, payload) => {
+    client.send(JSON.stringify({ type: "response", requestId, status, body: payload }));
+  };
+
+  if (!message) {
+    return reply(400, { error: "Message JSON invalide" });
+  }
+
+  // Session expirée ou fermée depuis l'ouverture de la connexion
+  if (client.auth.type === "session" && !getSession(client.req)) {
+    reply(401, { error: "Authentification requise" });
+    return client.ws.close(4401, "Session expirée");
+  }
+
+  const entry = Object.hasOwn(WS_COMMANDS, command) ? WS_COMMANDS[command] : null;
+  if (!entry) {
+    return reply(400, { error: `Commande inconnue: ${command}` });
+  }
+  if (!hasScope(client.auth, entry.scope)) {
+    log('WARN', `Accès refusé à ${client.auth.name} (scope ${entry.scope} requis)`, { command });
+    return reply(403, { error: `Permission insuffisante (scope ${entry.scope} requis)` });
+  }
+
+  try {
+    const result = entry.run ? entry.run(client, body) : await runRoute(entry.route, client.auth, body);
+    reply(result.status, result.body);
+  } catch (err) {
+    log('ERROR', `Erreur commande WebSocket ${command}`, { error: err.message });
+    reply(500, { error: err.message });
+  }
+}
+
+// Connexions mortes (pas de pong depuis le ping précédent)
+function pingWsClients() {
+  clients.filter(c => c.ws).forEach(c => {
+    if (!c.alive) return c.ws.terminate();
+    c.alive = false;
+    c.ws.ping();
+  });
+}
+
+// ================= DOMAIN PROFILES =================
+// Réglages par domaine (sous-domaines inclus) stockés dans DOMAIN_PROFILES_FILE (JSON, ou YAML
+// si l'extension est .yaml/.yml) et gérés par /profiles. Le profil correspondant est fusionné
+// dans la config de chaque job à sa création ; les valeurs envoyées avec le job priment.
+// maxConcurrent : jobs simultanés max sur le domaine, minDelay : ms minimum entre deux démarrages
+const PROFILE_FIELDS = {
+  referer: value => typeof value === 'string' && isAllowedProtocol(value),
+  ua: value => typeof value === 'string',
+  headers: value => !!value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every(header => typeof header === 'string'),
+  cookiesFile: value => typeof value === 'string',
+  segments: value => Number.isInteger(value) && value >= 1 && value <= 16,
+  proxy: value => isValidProxy(value),
+  engine: value => ENGINE_REGISTRY.has(value),
+  maxConcurrent: value => Number.isInteger(value) && value >= 0,
+  minDelay: value => Number.isInteger(value) && value >= 0
+};
+const MERGED_PROFILE_FIELDS = ['referer', 'ua', 'headers', 'cookiesFile', 'segments', 'proxy', 'engine'];
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9-]+\.)*[a-z0-9-]+$/;
+
+const DOMAIN_PROFILES = Object.create(null); // Pas de prototype : "constructor" ou "toString" ne sont pas des profils
+
+function isYamlProfilesFile() {
+  return /\.ya?ml$/i.test(DOMAIN_PROFILES_FILE);
+}
+
+// Message d'erreur si le profil est invalide, null sinon
+function validateDomainProfile(profile) {
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) return "Profil invalide (objet attendu)";
+
+  const unknown = Object.keys(profile).filter(field => !Object.hasOwn(PROFILE_FIELDS, field));
+  if (unknown.length > 0) return `Champs inconnus: ${unknown.join(', ')} (champs: ${Object.keys(PROFILE_FIELDS).join(', ')})`;
+
+  const invalid = Object.entries(profile)
+    .filter(([field, value]) => value !== null && !PROFILE_FIELDS[field](value))
+    .map(([field]) => field);
+  return invalid.length > 0 ? `Valeurs invalides: ${invalid.join(', ')}` : null;
+}
+
+async function loadDomainProfiles() {
+  try {
+    const text = await fs.readFile(DOMAIN_PROFILES_FILE, 'utf8');
+    const profiles = (isYamlProfilesFile() ? YAML.parse(text) : JSON.parse(text)) || {};
+
+    Object.entries(profiles).forEach(([domain, profile]) => {
+      const invalid = validateDomainProfile(profile);
+      if (invalid) {
+        log('WARN', `Profil de domaine ignoré (${domain}): ${invalid}`);
+        return;
+      }
+      DOMAIN_PROFILES[domain.toLowerCase()] = profile;
+    });
+    log('INFO', `Profils de domaine chargés: ${Object.keys(DOMAIN_PROFILES).length}`, { file: DOMAIN_PROFILES_FILE });
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      log('ERROR', 'Erreur chargement profils de domaine:', e.message);
+    }
+  }
+}
+
+async function saveDomainProfiles() {
+  const tmpFile = `${DOMAIN_PROFILES_FILE}.tmp`;
+  const text = isYamlProfilesFile()
+    ? YAML.stringify(DOMAIN_PROFILES)
+    : JSON.stringify(DOMAIN_PROFILES, null, 2) + "\n";
+  await fs.writeFile(tmpFile, text, { mode: 0o600 }); // Peut contenir des identifiants de proxy
+  await fs.rename(tmpFile, DOMAIN_PROFILES_FILE);
+}
+
+function findProfileDomain(host) {
+  // Le domaine le plus précis l'emporte (cdn.example.com avant example.com)
+  return Object.keys(DOMAIN_PROFILES)
+    .filter(d => host === d || host.endsWith("." + d))
+    .sort((a, b) => b.length - a.length)[0];
+}
+
+// Profil applicable à une URL, avec le domaine qui l'a fourni ; null si aucun
+function getDomainProfile(downloadUrl) {
+  try {
+    const domain = findProfileDomain(new URL(downloadUrl).hostname);
+    return domain ? { domain, ...DOMAIN_PROFILES[domain] } : null;
+  } catch {
+    return null;
+  }
+}
+
+// Complète la config d'un job avec le profil de son domaine (les champs déjà renseignés sont conservés)
+function applyDomainProfile(config) {
+  const profile = getDomainProfile(config.url);
+  if (!profile) return config;
+
+  const merged = { ...config, profile: profile.domain };
+  MERGED_PROFILE_FIELDS.forEach(field => {
+    if ((merged[field] === undefined || merged[field] === null || merged[field] === "") && profile[field] != null) {
+      merged[field] = profile[field];
+    }
+  });
+  return merged;
+}
+
+// En-têtes HTTP supplémentaires d'un job ("Nom: valeur")
+function extraHeaders(config) {
+  return Object.entries(config.headers || {}).map(([name, value]) => `${name}: ${value}`);
+}
+
+// Cookies d'un fichier au format Netscape (cookies.txt) applicables à une URL, en valeur d'en-tête Cookie
+function cookiesFromFile(file, downloadUrl) {
+  let host;
+  try {
+    host = new URL(downloadUrl).hostname;
+  } catch {
+    return null;
+  }
+
+  try {
+    const now = Date.now() / 1000;
+    const cookies = fsSync.readFileSync(file, 'utf8').split(/\r?\n/)
+      .map(line => line.replace(/^#HttpOnly_/, ""))
+      .filter(line => line && !line.startsWith("#"))
+      .map(line => line.split("\t"))
+      .filter(([domain, , , , expires, name]) => name && (!Number(expires) || Number(expires) > now) &&
+        (host === domain.replace(/^\./, "") || host.endsWith(domain.startsWith(".") ? domain : "." + domain)))
+      .map(([, , , , , name, value = ""]) => `${name}=${value}`);
+    return cookies.length > 0 ? cookies.join("; ") : null;
+  } catch (e) {
+    log('WARN', `Fichier de cookies illisible: ${file}`, { error: e.message });
+    return null;
+  }
+}
+
+// Limites de politesse applicables à une URL ; key regroupe les jobs d'un même profil / hôte
+function getDomainLimits(downloadUrl) {
+  let host;
+  try {
+    host = new URL(downloadUrl).hostname;
+  } catch {
+    return { key: downloadUrl, maxConcurrent: 0, minDelay: 0 };
+  }
+
+  const domain = findProfileDomain(host);
+  const profile = domain ? DOMAIN_PROFILES[domain] : {};
+  return {
+    key: domain || host,
+    maxConcurrent: profile.maxConcurrent ?? PER_DOMAIN_MAX_CONCURRENT,
+    minDelay: profile.minDelay ?? PER_DOMAIN_MIN_DELAY
+  };
+}
+
+// Profils contenant éventuellement des identifiants (proxy, cookies) : réservés aux admins
+app.get("/profiles", requireScope('admin'), (req, res) => {
+  res.json(DOMAIN_PROFILES);
+});
+
+app.get("/profiles/:domain", requireScope('admin'), (req, res) => {
+  const profile = DOMAIN_PROFILES[req.params.domain.toLowerCase()];
+  if (!profile) {
+    return res.status(404).json({ error: "Profil introuvable" });
+  }
+  res.json(profile);
+});
+
+// Crée ou remplace le profil d'un domaine
+app.put("/profiles/:domain", requireScope('admin'), async (req, res) => {
+  const domain = req.params.domain.toLowerCase();
+  if (!DOMAIN_PATTERN.test(domain)) {
+    return res.status(400).json({ error: "Domaine invalide (ex: cdn.example.com)" });
+  }
+
+  const invalid = validateDomainProfile(req.body);
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  const created = !(domain in DOMAIN_PROFILES);
+  DOMAIN_PROFILES[domain] = req.body;
+  await saveDomainProfiles();
+
+  log('INFO', `Profil de domaine ${created ? 'créé' : 'modifié'}: ${domain}`);
+  res.status(created ? 201 : 200).json(DOMAIN_PROFILES[domain]);
+});
+
+app.delete("/profiles/:domain", requireScope('admin'), async (req, res) => {
+  const domain = req.params.domain.toLowerCase();
+  if (!(domain in DOMAIN_PROFILES)) {
+    return res.status(404).json({ error: "Profil introuvable" });
+  }
+
+  delete DOMAIN_PROFILES[domain];
+  await saveDomainProfiles();
+
+  log('INFO', `Profil de domaine supprimé: ${domain}`);
+  res.json({ success: true });
+});
+
+function defaultUA(ua) {
+  return ua || "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36";
+}
+
+// ================= PROXY =================
+// Proxy HTTP(S) ou SOCKS5 par job (champ proxy de /download) ou par profil de domaine.
+// aria2 (all-proxy) et ffmpeg (-http_proxy) ne gèrent que les proxys HTTP ; yt-dlp et les
+// sondes HEAD acceptent aussi SOCKS5 (moteurs déclarant socksProxy). Les identifiants ne
+// sortent jamais dans les logs ni le SSE.
+const proxyDispatchers = new Map(); // URL du proxy -> dispatcher undici réutilisé
+
+function isValidProxy(proxy) {
+  if (typeof proxy !== 'string' || !/^(https?|socks5h?):\/\/\S+$/i.test(proxy)) return false;
+  try {
+    return !!new URL(proxy).hostname;
+  } catch {
+    return false;
+  }
+}
+
+function isSocksProxy(proxy) {
+  return /^socks/i.test(proxy || "");
+}
+
+// Masque les identifiants de proxy (user:pass@ de toute URL, mot de passe du proxy du job) dans un texte
+function redactProxy(text, proxy) {
+  if (!text) return text;
+  let result = String(text).replace(/([a-z0-9+.-]+:\/\/)[^\s/@]+@/gi, "$1***@");
+
+  try {
+    const { password } = new URL(proxy);
+    [password, decodeURIComponent(password)].filter(Boolean).forEach(secret => {
+      result = result.split(secret).join("***");
+    });
+  } catch {
+    // Pas de proxy (ou URL invalide) : rien de plus à masquer
+  }
+  return result;
+}
+
+function proxyDispatcher(proxy) {
+  if (!proxyDispatchers.has(proxy)) {
+    proxyDispatchers.set(proxy, isSocksProxy(proxy)
+      ? new Socks5ProxyAgent(proxy.replace(/^socks5h:/i, "socks5:"))
+      : new ProxyAgent(proxy));
+  }
+  return proxyDispatchers.get(proxy);
+}
+
+// fetch passant par le proxy du job s'il en a un
+function proxiedFetch(url, options, proxy) {
+  return proxy ? undiciFetch(url, { ...options, dispatcher: proxyDispatcher(proxy) }) : fetch(url, options);
+}
+
+// ================= UTILITY FUNCTIONS =================
+function sanitizeFilename(filename) {
+  return filename.replace(/[^a-zA-Z0-9._-]/g, "_").substring(0, 255);
+}
+
+function formatSize(bytes) {
+  if (bytes === 0) return "0 B";
+  const k = 1024;
+  const sizes = ["B", "KB", "MB", "GB", "TB"];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + " " + sizes[i];
+}
+
+function formatEta(seconds) {
+  if (!isFinite(seconds) || seconds < 0) return "--";
+  const s = Math.round(seconds);
+  const h = Math.floor(s / 3600);
+  const m = Math.floor((s % 3600) / 60);
+  if (h > 0) return `${h}h${String(m).padStart(2, "0")}m`;
+  if (m > 0) return `${m}m${String(s % 60).padStart(2, "0")}s`;
+  return `${s}s`;
+}
+
+// Durée "SS", "MM:SS" ou "HH:MM:SS" en secondes
+function parseClock(value) {
+  return String(value).split(":").reduce((seconds, part) => seconds * 60 + (parseInt(part) || 0), 0);
+}
+
+function isAllowedProtocol(url) {
+  try {
+    const protocol = new URL(url).protocol;
+    return ["http:", "https:"].includes(protocol);
+  } catch {
+    return false;
+  }
+}
+
+function isDomainAllowed(url) {
+  if (ALLOWED_DOMAINS.length === 0) return true;
 
   try {
     const hostname = new URL(url).hostname;
@@ -233,53 +1354,194 @@ function isVideoPlatform(url) {
   return platforms.some(platform => url.includes(platform));
 }
 
+// Moteur utilisé pour un job : celui imposé (job ou profil de domaine), sinon le premier qui reconnaît l'URL
+function getEngine(config) {
+  if (ENGINE_REGISTRY.has(config.engine)) return config.engine;
+  const detected = Array.from(ENGINE_REGISTRY.values()).find(engine => engine.detect && engine.detect(config));
+  return detected ? detected.name : 'aria2';
+}
+
 // ================= ROUTES =================
+app.post("/auth/login", async (req, res) => {
+  const { username, password } = req.body || {};
+  const account = users.get(username);
+  let scopes = null;
+
+  if (account) {
+    if (verifyPassword(password, account.passwordHash)) scopes = ROLE_SCOPES[account.role] || ROLE_SCOPES.user;
+  } else if (UI_PASSWORD) {
+    const expected = hashToken(`${UI_USERNAME}:${UI_PASSWORD}`);
+    const given = hashToken(`${username}:${password}`);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(given))) scopes = ROLE_SCOPES.admin;
+  }
+
+  if (!scopes) {
+    log('WARN', `Échec de connexion: ${String(username).substring(0, 50)}`, { ip: req.ip });
+    await new Promise(resolve => setTimeout(resolve, 1000)); // Ralentit le bruteforce
+    return res.status(401).json({ error: "Identifiants invalides" });
+  }
+
+  const token = crypto.randomBytes(32).toString("hex");
+  sessions.set(token, { user: username, scopes, expires: Date.now() + SESSION_TTL * 1000 });
+
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: "strict",
+    secure: req.secure,
+    maxAge: SESSION_TTL * 1000
+  });
+  log('INFO', `Connexion web: ${username}`, { ip: req.ip });
+  res.json({ user: username, scopes });
+});
+
+app.post("/auth/logout", (req, res) => {
+  const session = getSession(req);
+  if (session) sessions.delete(session.token);
+
+  res.clearCookie(SESSION_COOKIE);
+  res.json({ success: true });
+});
+
+// État de connexion (sans 401) pour que l'interface sache s'il faut afficher le formulaire
+app.get("/auth/me", async (req, res) => {
+  const session = isAuthEnabled() ? getSession(req) : null;
+  res.json({
+    authEnabled: isAuthEnabled(),
+    user: session ? session.user : null,
+    scopes: session ? session.scopes : (isAuthEnabled() ? [] : ["*"]),
+    account: session ? await describeUser(session.user) : null
+  });
+});
+
+// Clé d'API personnelle (extension) : régénérée à chaque appel, affichée une seule fois
+app.post("/auth/api-key", async (req, res) => {
+  const account = users.get(req.auth.name);
+  if (!account) {
+    return res.status(400).json({ error: "Clé personnelle réservée aux comptes de USERS_FILE" });
+  }
+
+  const key = `wm_${crypto.randomBytes(24).toString("hex")}`;
+  account.apiKeyHash = hashToken(key);
+  await saveUsers();
+
+  log('INFO', `Clé d'API personnelle régénérée: ${req.auth.name}`);
+  res.json({ apiKey: key, scopes: PERSONAL_KEY_SCOPES });
+});
+
+// ----- Gestion des comptes (admin) -----
+function validateUserFields({ role, quota }) {
+  if (role !== undefined && !(role in ROLE_SCOPES)) return "Rôle invalide (user, admin)";
+  if (quota !== undefined && quota !== null && isNaN(parseSize(quota))) return "Quota invalide (ex: 50G, 0 = illimité)";
+  return null;
+}
+
+app.get("/users", requireScope('admin'), async (req, res) => {
+  res.json(await Promise.all(Array.from(users.keys()).map(describeUser)));
+});
+
+app.post("/users", requireScope('admin'), async (req, res) => {
+  const { username, password, role = 'user', quota = null } = req.body;
+
+  if (!USERNAME_PATTERN.test(username || "")) {
+    return res.status(400).json({ error: "Nom d'utilisateur invalide (2 à 32 caractères: lettres, chiffres, _ et -)" });
+  }
+  if (users.has(username)) {
+    return res.status(409).json({ error: "Utilisateur déjà existant" });
+  }
+  if (!password || String(password).length < 8) {
+    return res.status(400).json({ error: "Mot de passe trop court (8 caractères minimum)" });
+  }
+  const invalid = validateUserFields({ role, quota });
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+
+  users.set(username, {
+    passwordHash: hashPassword(password),
+    role,
+    quota: quota === null ? null : parseSize(quota),
+    apiKeyHash: null
+  });
+  await saveUsers();
+
+  log('INFO', `Compte créé: ${username} (${role}) par ${req.auth.name}`);
+  res.status(201).json(await describeUser(username));
+});
+
+app.patch("/users/:name", requireScope('admin'), async (req, res) => {
+  const account = users.get(req.params.name);
+  if (!account) {
+    return res.status(404).json({ error: "Utilisateur introuvable" });
+  }
+
+  const { password, role, quota } = req.body;
+  const invalid = validateUserFields({ role, quota });
+  if (invalid) {
+    return res.status(400).json({ error: invalid });
+  }
+  if (password !== undefined && String(password).length < 8) {
+    return res.status(400).json({ error: "Mot de passe trop court (8 caractères minimum)" });
+  }
+
+  if (password !== undefined) account.passwordHash = hashPassword(password);
+  if (role !== undefined) account.role = role;
+  if (quota !== undefined) account.quota = quota === null ? null : parseSize(quota);
+  await saveUsers();
+
+  if (password !== undefined || role !== undefined) revokeSessions(req.params.name);
+  log('INFO', `Compte modifié: ${req.params.name} par ${req.auth.name}`, { role, quota });
+  res.json(await describeUser(req.params.name));
+});
+
+// Les fichiers de l'utilisateur sont conservés
+app.delete("/users/:name", requireScope('admin'), async (req, res) => {
+  if (!users.delete(req.params.name)) {
+    return res.status(404).json({ error: "Utilisateur introuvable" });
+  }
+  await saveUsers();
+  revokeSessions(req.params.name);
+
+  log('WARN', `Compte supprimé: ${req.params.name} par ${req.auth.name}`);
+  res.json({ success: true });
+});
+
 app.get("/health", (req, res) => {
   res.json({
     status: 'ok',
     activeDownloads: activeDownloads.size,
-    maxConcurrent: MAX_CONCURRENT_DOWNLOADS
+    maxConcurrent: MAX_CONCURRENT_DOWNLOADS,
+    aria2: aria2Ready ? 'ok' : 'down'
   });
 });
 
 app.get("/history", async (req, res) => {
   try {
-    const files = await fs.readdir(downloadsDir);
-    const history = await Promise.all(
-      files
-        .filter(f => f !== ".gitkeep" && !f.endsWith(".aria2"))
-        .map(async file => {
-          try {
-            const filePath = path.join(downloadsDir, file);
-            const stats = await fs.stat(filePath);
-            return {
-              id: file,
-              filename: file,
-              size: stats.size,
-              date: stats.mtime,
-              status: "completed",
-              progress: 100
-            };
-          } catch {
-            return null;
-          }
-        })
-    );
-
-    const validHistory = history
-      .filter(Boolean)
-      .sort((a, b) => b.date - a.date);
+    const { status, user } = req.query;
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Statut inconnu (${JOB_STATUSES.join(', ')})` });
+    }
 
-    res.json(validHistory);
+    const history = Array.from(jobStore.values())
+      .filter(record => canAccess(req.auth, record.owner))
+      .filter(record => !status || record.status === status)
+      .filter(record => !user || record.owner === user) // Filtre par utilisateur (admins)
+      .map(({ config, ...record }) => ({
+        ...record,
+        date: record.finishedAt || record.startedAt || record.queuedAt,
+        available: ['completed', 'postprocess-failed'].includes(record.status) && fsSync.existsSync(path.join(downloadsDir, record.file))
+      }))
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
+
+    res.json(history);
   } catch (err) {
     log('ERROR', 'Erreur lecture historique', { error: err.message });
     res.status(500).json({ error: "Impossible de lire l'historique" });
   }
 });
 
-app.get("/transfer/:filename", (req, res) => {
+app.get("/transfer/:filename", requireScope('delete'), (req, res) => {
   const filename = sanitizeFilename(req.params.filename);
-  const filePath = path.join(downloadsDir, filename);
+  const filePath = path.join(ownerDir(requestOwner(req)), filename);
 
   if (!fsSync.existsSync(filePath)) {
     return res.status(404).json({ error: "Fichier introuvable" });
@@ -297,7 +1559,7 @@ app.get("/transfer/:filename", (req, res) => {
   });
 });
 
-app.post("/cancel", async (req, res) => {
+async function cancelRoute(req, res) {
   const { id } = req.body;
 
   if (!id) {
@@ -305,7 +1567,7 @@ app.post("/cancel", async (req, res) => {
   }
 
   log('INFO', `Demande d'annulation pour: ${id}`);
-  const download = activeDownloads.get(id);
+  const download = getOwnDownload(req, id);
 
   if (!download) {
     log('WARN', `Téléchargement introuvable: ${id}`);
@@ -313,361 +1575,2862 @@ app.post("/cancel", async (req, res) => {
   }
 
   try {
-    if (download.process) {
-      download.process.kill("SIGTERM");
-    }
     download.info.status = "cancelled";
+    await stopDownloadEngine(download, 'cancel');
     broadcast({ type: "status-change", download: download.info });
     activeDownloads.delete(id);
 
+    if (downloadQueue.includes(id)) {
+      downloadQueue = downloadQueue.filter(qid => qid !== id);
+      broadcastQueue();
+    }
+    processQueue();
+
     log('SUCCESS', `Téléchargement annulé: ${download.info.filename}`);
     res.json({ success: true, message: "Téléchargement annulé" });
   } catch (err) {
     log('ERROR', `Erreur annulation ${id}`, { error: err.message });
     res.status(500).json({ error: err.message });
   }
-});
+}
+app.post("/cancel", cancelRoute);
 
-app.post("/cancel-all", async (req, res) => {
-  log('WARN', `Annulation de tous les téléchargements (${activeDownloads.size} actifs)`);
-  let cancelled = 0;
+async function pauseRoute(req, res) {
+  const { id } = req.body;
 
-  activeDownloads.forEach((download, id) => {
-    try {
-      if (download.process) {
-        download.process.kill("SIGTERM");
-      }
-      download.info.status = "cancelled";
-      broadcast({ type: "status-change", download: download.info });
-      cancelled++;
-    } catch (err) {
-      log('ERROR', `Erreur annulation ${id}`, { error: err.message });
-    }
-  });
+  if (!id) {
+    return res.status(400).json({ error: "ID manquant" });
+  }
 
-  activeDownloads.clear();
-  await saveState();
+  const download = getOwnDownload(req, id);
 
-  log('SUCCESS', `${cancelled} téléchargements annulés`);
-  res.json({ cancelled, message: `${cancelled} téléchargements annulés` });
-});
+  if (!download) {
+    log('WARN', `Téléchargement introuvable: ${id}`);
+    return res.status(404).json({ error: "Téléchargement introuvable" });
+  }
+
+  if (!['downloading', 'retrying', 'queued'].includes(download.info.status)) {
+    return res.status(409).json({ error: `Impossible de mettre en pause (statut: ${download.info.status})` });
+  }
 
-app.delete("/clear-history", async (req, res) => {
   try {
-    const files = await fs.readdir(downloadsDir);
-    let deleted = 0;
+    // Le statut doit être posé AVANT l'arrêt : handleDownloadExit s'en sert
+    // pour distinguer une pause d'un échec (aria2c conserve son fichier .aria2)
+    download.info.status = "paused";
+    downloadQueue = downloadQueue.filter(qid => qid !== id);
+    broadcastQueue();
 
-    await Promise.all(
-      files
-        .filter(file => file !== ".gitkeep")
-        .map(async file => {
-          try {
-            await fs.unlink(path.join(downloadsDir, file));
-            deleted++;
-          } catch (e) {
-            log('ERROR', `Erreur suppression ${file}`, { error: e.message });
-          }
-        })
-    );
+    await stopDownloadEngine(download, 'pause');
 
-    log('INFO', `Historique nettoyé: ${deleted} fichiers supprimés`);
-    res.json({ deleted, message: `${deleted} fichiers supprimés` });
+    broadcast({ type: "status-change", download: download.info });
+    processQueue(); // Slot libéré
+
+    log('INFO', `Téléchargement en pause: ${download.info.filename}`);
+    res.json({ success: true, message: "Téléchargement en pause" });
   } catch (err) {
-    log('ERROR', 'Erreur nettoyage historique', { error: err.message });
-    res.status(500).json({ error: "Impossible de nettoyer l'historique" });
+    log('ERROR', `Erreur pause ${id}`, { error: err.message });
+    res.status(500).json({ error: err.message });
   }
-});
+}
+app.post("/pause", pauseRoute);
 
-app.get("/config", (req, res) => {
-  res.json({
+async function resumeRoute(req, res) {
+  const { id } = req.body;
+
+  if (!id) {
+    return res.status(400).json({ error: "ID manquant" });
+  }
+
+  const download = getOwnDownload(req, id);
+
+  if (!download) {
+    log('WARN', `Téléchargement introuvable: ${id}`);
+    return res.status(404).json({ error: "Téléchargement introuvable" });
+  }
+
+  if (download.info.status !== 'paused') {
+    return res.status(409).json({ error: `Le téléchargement n'est pas en pause (statut: ${download.info.status})` });
+  }
+
+  if (!download.config) {
+    return res.status(409).json({ error: "Configuration du téléchargement perdue, reprise impossible" });
+  }
+
+  download.info.status = "queued";
+  download.retryCount = 0;
+  enqueueDownload(id);
+
+  broadcast({ type: "status-change", download: download.info });
+  processQueue();
+
+  log('INFO', `Reprise demandée: ${download.info.filename}`);
+  res.json({
+    success: true,
+    message: "Téléchargement repris",
+    status: download.info.status,
+    queuePosition: downloadQueue.indexOf(id) + 1
+  });
+}
+app.post("/resume", resumeRoute);
+
+app.post("/retry/:id", async (req, res) => {
+  const { id } = req.params;
+  let download = getOwnDownload(req, id);
+
+  // Job terminé (échec / annulation) : le reconstruire depuis l'historique persistant
+  if (!download && !activeDownloads.has(id)) {
+    const record = jobStore.get(id);
+    if (!record || !canAccess(req.auth, record.owner)) {
+      log('WARN', `Téléchargement introuvable: ${id}`);
+      return res.status(404).json({ error: "Téléchargement introuvable" });
+    }
+    download = jobFromRecord(record);
+  }
+
+  if (!download) {
+    return res.status(404).json({ error: "Téléchargement introuvable" });
+  }
+
+  if (!['interrupted', 'error', 'cancelled', 'verification-failed'].includes(download.info.status)) {
+    return res.status(409).json({ error: `Impossible de relancer (statut: ${download.info.status})` });
+  }
+
+  if (!download.config) {
+    return res.status(409).json({ error: "Configuration du téléchargement perdue, relance impossible" });
+  }
+
+  // Fichier corrompu : repartir de zéro plutôt que de reprendre dessus
+  if (download.info.status === 'verification-failed') {
+    const { filename, engine, owner, container } = download.info;
+    await fs.unlink(path.join(downloadsDir, getOutputFile(filename, engine, owner, container))).catch(() => {});
+  }
+  download.info.checksum = null; // Recalculée à la fin du nouveau téléchargement
+  download.info.postProcess = buildPipeline(download.config.postProcess);
+
+  download.info.status = "queued";
+  download.info.error = undefined;
+  download.info.errorCode = null;
+  download.retryCount = 0;
+  activeDownloads.set(id, download);
+  enqueueDownload(id);
+
+  broadcast({ type: "status-change", download: download.info });
+  processQueue();
+
+  log('INFO', `Relance demandée: ${download.info.filename}`);
+  res.json({
+    success: true,
+    message: "Téléchargement relancé",
+    status: download.info.status,
+    queuePosition: downloadQueue.indexOf(id) + 1
+  });
+});
+
+// Relance les étapes de post-traitement échouées, sans retélécharger
+app.post("/postprocess/:id", (req, res) => {
+  const { id } = req.params;
+  const record = jobStore.get(id);
+
+  if (!record || activeDownloads.has(id) || !canAccess(req.auth, record.owner)) {
+    return res.status(404).json({ error: "Téléchargement terminé introuvable" });
+  }
+
+  if (record.status !== 'postprocess-failed') {
+    return res.status(409).json({ error: `Aucun post-traitement à relancer (statut: ${record.status})` });
+  }
+
+  const download = jobFromRecord(record);
+  download.info.error = undefined;
+  activeDownloads.set(id, download);
+  runPostProcessing(id);
+
+  log('INFO', `Relance du post-traitement: ${download.info.filename}`);
+  res.json({ success: true, status: download.info.status, postProcess: download.info.postProcess });
+});
+
+// Positions relatives aux jobs visibles par l'appelant
+app.get("/queue", (req, res) => {
+  res.json(visibleQueue(req.auth).map((id, index) => {
+    const { info } = activeDownloads.get(id);
+    return { position: index + 1, id, filename: info.filename, priority: info.priority || 'normal', owner: info.owner || null };
+  }));
+});
+
+// Déplacer un job dans la file : position = "top" | "bottom" | rang (à partir de 1)
+function reorderRoute(req, res) {
+  const { id, position } = req.body;
+
+  if (!id || position === undefined) {
+    return res.status(400).json({ error: "ID ou position manquant" });
+  }
+
+  // Un utilisateur ne réordonne que ses propres jobs, dans les places qu'ils occupent déjà
+  const visible = visibleQueue(req.auth);
+  const currentIndex = visible.indexOf(id);
+  if (currentIndex === -1) {
+    return res.status(404).json({ error: "Job absent de la file d'attente" });
+  }
+
+  let targetIndex;
+  if (position === 'top') {
+    targetIndex = 0;
+  } else if (position === 'bottom') {
+    targetIndex = visible.length - 1;
+  } else if (Number.isInteger(Number(position)) && Number(position) >= 1) {
+    targetIndex = Math.min(Number(position), visible.length) - 1;
+  } else {
+    return res.status(400).json({ error: "Position invalide (top, bottom ou entier >= 1)" });
+  }
+
+  const slots = visible.map(qid => downloadQueue.indexOf(qid));
+  visible.splice(currentIndex, 1);
+  visible.splice(targetIndex, 0, id);
+  slots.forEach((slot, index) => { downloadQueue[slot] = visible[index]; });
+  broadcastQueue();
+
+  log('INFO', `File d'attente réordonnée: ${id} → position ${targetIndex + 1}`);
+  res.json({ success: true, position: targetIndex + 1, queue: visible });
+}
+app.patch("/queue", reorderRoute);
+
+app.post("/cancel-all", requireScope('delete'), async (req, res) => {
+  // Un utilisateur n'annule que ses propres jobs ; un admin annule tout
+  const targets = Array.from(activeDownloads.entries())
+    .filter(([, download]) => canAccess(req.auth, download.info.owner));
+  log('WARN', `Annulation de ${targets.length} téléchargements (${activeDownloads.size} actifs)`);
+  let cancelled = 0;
+
+  await Promise.all(targets.map(async ([id, download]) => {
+    try {
+      download.info.status = "cancelled";
+      await stopDownloadEngine(download, 'cancel');
+      broadcast({ type: "status-change", download: download.info });
+      cancelled++;
+    } catch (err) {
+      log('ERROR', `Erreur annulation ${id}`, { error: err.message });
+    }
+  }));
+
+  targets.forEach(([id]) => activeDownloads.delete(id));
+  downloadQueue = downloadQueue.filter(id => activeDownloads.has(id));
+  broadcastQueue();
+  await storeWriteChain;
+
+  log('SUCCESS', `${cancelled} téléchargements annulés`);
+  res.json({ cancelled, message: `${cancelled} téléchargements annulés` });
+});
+
+app.delete("/clear-history", requireScope('delete'), async (req, res) => {
+  try {
+    // Un admin vide tout le dossier, un utilisateur seulement sa bibliothèque
+    const owner = isAdmin(req.auth) ? null : requestOwner(req);
+    const baseDir = ownerDir(owner);
+    await fs.mkdir(baseDir, { recursive: true });
+    const files = await fs.readdir(baseDir);
+    let deleted = 0;
+
+    await Promise.all(
+      files
+        .filter(file => file !== ".gitkeep")
+        .map(async file => {
+          try {
+            await fs.rm(path.join(baseDir, file), { recursive: true });
+            deleted++;
+          } catch (e) {
+            log('ERROR', `Erreur suppression ${file}`, { error: e.message });
+          }
+        })
+    );
+
+    // Ne conserver que les jobs encore actifs (ou d'autres utilisateurs) dans l'historique persistant
+    jobStore.forEach((record, id) => {
+      if (!activeDownloads.has(id) && (!owner || record.owner === owner)) jobStore.delete(id);
+    });
+    await compactJobStore();
+
+    log('INFO', `Historique nettoyé: ${deleted} fichiers supprimés`);
+    res.json({ deleted, message: `${deleted} fichiers supprimés` });
+  } catch (err) {
+    log('ERROR', 'Erreur nettoyage historique', { error: err.message });
+    res.status(500).json({ error: "Impossible de nettoyer l'historique" });
+  }
+});
+
+app.get("/config", (req, res) => {
+  res.json({
     allowedDomains: ALLOWED_DOMAINS,
     maxFileSize: MAX_FILE_SIZE,
     downloadTimeout: DOWNLOAD_TIMEOUT,
     maxConcurrent: MAX_CONCURRENT_DOWNLOADS,
     retryAttempts: RETRY_ATTEMPTS,
+    perDomainMaxConcurrent: PER_DOMAIN_MAX_CONCURRENT,
+    perDomainMinDelay: PER_DOMAIN_MIN_DELAY,
+    speedLimit: currentSpeedLimit,
+    quietHours: QUIET_HOURS,
+    postProcessSteps: Object.keys(POSTPROCESS_STEPS),
+    postProcessCategories: POSTPROCESS_CATEGORIES,
+    engines: Array.from(ENGINE_REGISTRY.keys()),
+    hlsMaxHeight: HLS_MAX_HEIGHT,
     queueSize: downloadQueue.length
   });
 });
 
-// === AJOUT : ROUTE CAPTURE EXTENSION ===
-// À placer AVANT la section "// ================= DOWNLOAD LOGIC ================="
+// ================= BANDWIDTH =================
+// La limite globale est partagée à parts égales entre les jobs actifs, puis bornée
+// par la limite propre au job. aria2 l'applique à chaud (changeOption), yt-dlp au
+// lancement (--limit-rate) et ffmpeg, sans option de débit, est bridé par SIGSTOP/SIGCONT.
+let bandwidthSettings = { limit: 0, schedule: [] };
+let bandwidthTimer = null;
+let currentSpeedLimit = 0; // Limite globale en vigueur (octets/s)
+
+// "500K", "2M", "1.5G" (multiples de 1024) ou nombre d'octets → octets, NaN si invalide
+function parseSize(value) {
+  if (value === undefined || value === null || value === "") return 0;
+  if (typeof value === "number") return value >= 0 ? Math.floor(value) : NaN;
+
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*([KMGT]?)(?:i?B)?$/i);
+  if (!match) return NaN;
+  const units = { "": 1, K: 1024, M: 1024 ** 2, G: 1024 ** 3, T: 1024 ** 4 };
+  return Math.floor(parseFloat(match[1]) * units[match[2].toUpperCase()]);
+}
+
+function parseTimeOfDay(value) {
+  const match = String(value).match(/^(\d{1,2}):(\d{2})$/);
+  if (!match || parseInt(match[1]) > 24 || parseInt(match[2]) > 59) return NaN;
+  return parseInt(match[1]) * 60 + parseInt(match[2]);
+}
+
+// "08:00-18:00=2M,18:00-08:00=0" ou [{ from, to, limit }] → règles normalisées, null si invalide
+function parseSchedule(value) {
+  if (!value) return [];
+
+  const entries = Array.isArray(value)
+    ? value
+    : String(value).split(",").filter(Boolean).map(rule => {
+      const match = rule.trim().match(/^([\d:]+)-([\d:]+)=(.+)$/);
+      return match ? { from: match[1], to: match[2], limit: match[3] } : {};
+    });
+
+  const rules = entries.map(entry => ({
+    from: entry.from,
+    to: entry.to,
+    limit: parseSize(entry.limit),
+    start: parseTimeOfDay(entry.from),
+    end: parseTimeOfDay(entry.to)
+  }));
+
+  return rules.every(r => !isNaN(r.start) && !isNaN(r.end) && !isNaN(r.limit)) ? rules : null;
+}
+
+// Première plage horaire couvrant l'heure courante (les plages peuvent passer minuit),
+// sinon limite globale par défaut
+function getScheduledLimit(date = new Date()) {
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const rule = bandwidthSettings.schedule.find(r =>
+    r.start <= r.end
+      ? minutes >= r.start && minutes < r.end
+      : minutes >= r.start || minutes < r.end
+  );
+  return rule ? rule.limit : bandwidthSettings.limit;
+}
+
+function runningDownloads() {
+  return Array.from(activeDownloads.values()).filter(d => d.info.status === 'downloading');
+}
+
+// Débit max (octets/s, 0 = illimité) d'un job : part de la limite globale bornée par sa propre limite
+function getEffectiveSpeedLimit(download, runningCount = runningDownloads().length) {
+  const share = currentSpeedLimit > 0 ? Math.floor(currentSpeedLimit / Math.max(1, runningCount)) : 0;
+  const own = parseSize(download.config.speedLimit) || 0;
+  const limits = [share, own].filter(limit => limit > 0);
+  return limits.length > 0 ? Math.min(...limits) : 0;
+}
+
+// Répartit à nouveau la bande passante entre les jobs actifs
+function applyBandwidthLimits() {
+  const running = runningDownloads();
+
+  running.forEach(download => {
+    const limit = getEffectiveSpeedLimit(download, running.length);
+    if (download.speedLimit === limit) return;
+    download.speedLimit = limit;
+
+    if (download.gid) {
+      aria2Rpc('aria2.changeOption', download.gid, { "max-download-limit": String(limit) })
+        .catch(e => log('WARN', `Limite de débit non appliquée (GID ${download.gid})`, { error: e.message }));
+    } else if (download.throttle) {
+      download.throttle.limit = limit;
+      download.throttle.windowStart = null;
+    }
+    // yt-dlp : --limit-rate n'est lu qu'au lancement, la nouvelle limite vaudra au prochain démarrage
+  });
+}
+
+function refreshSpeedLimit() {
+  const limit = getScheduledLimit();
+  if (limit !== currentSpeedLimit) {
+    log('INFO', `Limite de débit globale: ${limit > 0 ? formatSize(limit) + '/s' : 'illimitée'}`);
+    currentSpeedLimit = limit;
+  }
+  applyBandwidthLimits();
+}
+
+function loadBandwidthSettings() {
+  const limit = parseSize(SPEED_LIMIT);
+  const schedule = parseSchedule(SPEED_SCHEDULE);
+
+  if (isNaN(limit)) log('WARN', `SPEED_LIMIT invalide ignoré: ${SPEED_LIMIT}`);
+  if (!schedule) log('WARN', `SPEED_SCHEDULE invalide ignoré: ${SPEED_SCHEDULE}`);
+
+  bandwidthSettings = { limit: isNaN(limit) ? 0 : limit, schedule: schedule || [] };
+  refreshSpeedLimit();
+  bandwidthTimer = setInterval(refreshSpeedLimit, SPEED_SCHEDULE_INTERVAL);
+}
+
+// Bridage d'un processus sans option de débit : suspendu le temps de revenir sous la limite
+function throttleProcess(download, proc, bytes) {
+  const throttle = download.throttle;
+  if (!throttle || !throttle.limit || throttle.suspended || download.process !== proc) return;
+
+  const now = Date.now();
+  if (throttle.windowStart === null) {
+    throttle.windowStart = now;
+    throttle.windowBytes = bytes;
+    return;
+  }
+
+  const allowed = throttle.limit * (now - throttle.windowStart) / 1000;
+  const excess = (bytes - throttle.windowBytes) - allowed;
+  if (excess <= 0) return;
+
+  throttle.suspended = true;
+  proc.kill("SIGSTOP");
+  setTimeout(() => {
+    throttle.suspended = false;
+    proc.kill("SIGCONT");
+  }, Math.ceil(excess * 1000 / throttle.limit));
+}
+
+function bandwidthStatus() {
+  return {
+    limit: bandwidthSettings.limit,
+    schedule: bandwidthSettings.schedule.map(({ from, to, limit }) => ({ from, to, limit })),
+    currentLimit: currentSpeedLimit,
+    running: runningDownloads().map(d => ({ id: d.info.id, limit: d.speedLimit || 0 }))
+  };
+}
+
+app.get("/bandwidth", (req, res) => {
+  res.json(bandwidthStatus());
+});
+
+// Modifie la limite globale et/ou le planning, appliqués immédiatement aux jobs actifs
+app.put("/bandwidth", requireScope('admin'), (req, res) => {
+  const { limit, schedule } = req.body;
+  const parsedLimit = limit === undefined ? bandwidthSettings.limit : parseSize(limit);
+  const parsedSchedule = schedule === undefined ? bandwidthSettings.schedule : parseSchedule(schedule);
+
+  if (isNaN(parsedLimit)) {
+    return res.status(400).json({ error: "Limite invalide (ex: 500K, 2M, 0 = illimitée)" });
+  }
+  if (!parsedSchedule) {
+    return res.status(400).json({ error: "Planning invalide (ex: 08:00-18:00=2M,18:00-08:00=0)" });
+  }
+
+  bandwidthSettings = { limit: parsedLimit, schedule: parsedSchedule };
+  refreshSpeedLimit();
+
+  log('INFO', 'Réglages de bande passante modifiés', { limit: parsedLimit, rules: parsedSchedule.length });
+  res.json(bandwidthStatus());
+});
+
+// Limite propre à un job, appliquée à chaud (aria2, ffmpeg) ou au prochain démarrage (yt-dlp)
+app.post("/limit", (req, res) => {
+  const { id, limit } = req.body;
+  const download = getOwnDownload(req, id);
+
+  if (!download) {
+    return res.status(404).json({ error: "Téléchargement introuvable" });
+  }
+
+  const parsedLimit = parseSize(limit);
+  if (isNaN(parsedLimit)) {
+    return res.status(400).json({ error: "Limite invalide (ex: 500K, 2M, 0 = illimitée)" });
+  }
+
+  download.config.speedLimit = parsedLimit > 0 ? parsedLimit : null;
+  download.info.speedLimit = download.config.speedLimit;
+  applyBandwidthLimits();
+  broadcast({ type: "update", download: download.info });
+
+  log('INFO', `Limite de débit de ${id}: ${parsedLimit > 0 ? formatSize(parsedLimit) + '/s' : 'aucune'}`);
+  res.json({ success: true, speedLimit: download.config.speedLimit, effectiveLimit: download.speedLimit || 0 });
+});
+
+// ================= SCHEDULING =================
+// Un job programmé reste hors de la file (statut "scheduled") jusqu'à son heure de démarrage
+const MAX_TIMER_DELAY = 2 ** 31 - 1; // Plafond de setTimeout (~24,8 jours)
+
+// Début de la prochaine plage creuse (maintenant si on y est déjà)
+function nextQuietWindow(now = new Date()) {
+  const [from, to] = QUIET_HOURS.split("-").map(parseTimeOfDay);
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  const inWindow = from <= to
+    ? minutes >= from && minutes < to
+    : minutes >= from || minutes < to;
+
+  if (inWindow) return now;
+
+  const start = new Date(now);
+  start.setHours(Math.floor(from / 60), from % 60, 0, 0);
+  if (start <= now) start.setDate(start.getDate() + 1);
+  return start;
+}
+
+// startAt : date ISO, timestamp (ms) ou "quiet" → Date, null si immédiat, Invalid Date si illisible
+function parseStartAt(startAt) {
+  if (startAt === undefined || startAt === null || startAt === "") return null;
+
+  const date = startAt === "quiet" ? nextQuietWindow() : new Date(startAt);
+  if (isNaN(date)) return date;
+  return date > Date.now() ? date : null;
+}
+
+function armScheduledStart(id) {
+  const download = activeDownloads.get(id);
+  if (!download) return;
+
+  clearTimeout(download.scheduleTimer);
+  const delay = new Date(download.info.scheduledAt) - Date.now();
+
+  download.scheduleTimer = setTimeout(
+    () => delay > MAX_TIMER_DELAY ? armScheduledStart(id) : releaseScheduledJob(id),
+    Math.max(0, Math.min(delay, MAX_TIMER_DELAY))
+  );
+}
+
+// Heure atteinte : le job rejoint la file d'attente normale
+function releaseScheduledJob(id) {
+  const download = activeDownloads.get(id);
+  if (!download || download.info.status !== 'scheduled') return;
+
+  clearTimeout(download.scheduleTimer);
+  download.info.status = 'queued';
+  log('INFO', `Démarrage programmé atteint: ${download.config.filename}`);
+  broadcast({ type: "status-change", download: download.info });
+  enqueueDownload(id);
+  processQueue();
+}
+
+// Reprogramme un job programmé ou en file d'attente (startAt vide = dès que possible)
+app.post("/schedule", (req, res) => {
+  const { id, startAt } = req.body;
+  const download = getOwnDownload(req, id);
+
+  if (!download) {
+    return res.status(404).json({ error: "Téléchargement introuvable" });
+  }
+
+  if (download.info.status !== 'scheduled' && download.info.status !== 'queued') {
+    return res.status(400).json({ error: "Seul un job programmé ou en file d'attente peut être reprogrammé" });
+  }
+
+  const scheduledAt = parseStartAt(startAt);
+  if (scheduledAt && isNaN(scheduledAt)) {
+    return res.status(400).json({ error: "Date de démarrage invalide (ISO 8601, timestamp ou \"quiet\")" });
+  }
+
+  if (!scheduledAt) {
+    releaseScheduledJob(id);
+  } else {
+    if (downloadQueue.includes(id)) {
+      downloadQueue = downloadQueue.filter(qid => qid !== id);
+      broadcastQueue();
+    }
+    download.info.status = 'scheduled';
+    download.info.scheduledAt = scheduledAt.toISOString();
+    armScheduledStart(id);
+    broadcast({ type: "status-change", download: download.info });
+    log('INFO', `Job programmé pour ${download.info.scheduledAt}: ${download.config.filename}`);
+  }
+
+  res.json({ success: true, status: download.info.status, scheduledAt: download.info.scheduledAt });
+});
+
+// ================= ARIA2 RPC =================
+// Un seul démon aria2c (--enable-rpc) pour tous les téléchargements directs :
+// ajout, pause, suivi et suppression se font par GID via JSON-RPC.
+const ARIA2_RPC_PORT = parseInt(process.env.ARIA2_RPC_PORT || "6800");
+const ARIA2_RPC_SECRET = process.env.ARIA2_RPC_SECRET || uuidv4();
+const ARIA2_POLL_INTERVAL = parseInt(process.env.ARIA2_POLL_INTERVAL || "1000");
+
+let aria2Daemon = null;
+let aria2Ready = false;
+let aria2PollTimer = null;
+let aria2Polling = false;
+let aria2RequestId = 0;
+
+async function aria2Rpc(method, ...params) {
+  const resp = await fetch(`http://127.0.0.1:${ARIA2_RPC_PORT}/jsonrpc`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      jsonrpc: '2.0',
+      id: String(++aria2RequestId),
+      method,
+      params: [`token:${ARIA2_RPC_SECRET}`, ...params]
+    })
+  });
+
+  const data = await resp.json();
+  if (data.error) {
+    throw new Error(`${method}: ${data.error.message}`);
+  }
+  return data.result;
+}
+
+async function startAria2Daemon() {
+  const args = [
+    "--enable-rpc",
+    "--rpc-listen-all=false",
+    `--rpc-listen-port=${ARIA2_RPC_PORT}`,
+    `--rpc-secret=${ARIA2_RPC_SECRET}`,
+    `--max-concurrent-downloads=${MAX_CONCURRENT_DOWNLOADS}`,
+    "--dir", downloadsDir,
+    "--continue=true",
+    "--console-log-level=warn"
+  ];
+
+  aria2Ready = false;
+  aria2Daemon = spawn("aria2c", args);
+
+  aria2Daemon.on("error", err => {
+    log('ERROR', 'Impossible de lancer le démon aria2c', { error: err.message });
+    aria2Daemon = null;
+  });
+
+  aria2Daemon.on("exit", code => {
+    const wasReady = aria2Ready;
+    aria2Daemon = null;
+    aria2Ready = false;
+
+    // Relancer uniquement un démon qui tournait (évite une boucle si aria2c est absent)
+    if (wasReady && !shuttingDown) {
+      log('WARN', `Démon aria2c arrêté (code ${code}), relance dans ${RETRY_DELAY / 1000}s`);
+      setTimeout(startAria2Daemon, RETRY_DELAY);
+    }
+  });
+
+  // Attendre que l'interface RPC réponde
+  for (let attempt = 0; attempt < 20 && aria2Daemon; attempt++) {
+    try {
+      const { version } = await aria2Rpc('aria2.getVersion');
+      aria2Ready = true;
+      log('SUCCESS', `Démon aria2c prêt (v${version}, port RPC ${ARIA2_RPC_PORT})`);
+      return true;
+    } catch {
+      await new Promise(resolve => setTimeout(resolve, 250));
+    }
+  }
+
+  log('ERROR', 'Démon aria2c injoignable, les téléchargements directs échoueront');
+  return false;
+}
+
+// Interroge aria2.tellStatus pour chaque GID actif et met à jour la progression
+async function pollAria2() {
+  if (aria2Polling) return;
+  aria2Polling = true;
+
+  const tracked = Array.from(activeDownloads.entries())
+    .filter(([, dl]) => dl.gid && dl.info.status === 'downloading');
+
+  try {
+    await Promise.all(tracked.map(async ([id, download]) => {
+      const gid = download.gid;
+      let status;
+
+      try {
+        status = await aria2Rpc('aria2.tellStatus', gid, [
+          'status', 'totalLength', 'completedLength', 'downloadSpeed', 'errorCode', 'errorMessage'
+        ]);
+      } catch (e) {
+        if (download.gid === gid && download.info.status === 'downloading') {
+          handleDownloadExit(id, -1, `aria2 RPC error: ${e.message}`);
+        }
+        return;
+      }
+
+      // Le job a pu être mis en pause / annulé pendant la requête
+      if (download.gid !== gid || download.info.status !== 'downloading') return;
+
+      const totalBytes = Number(status.totalLength);
+      const doneBytes = Number(status.completedLength);
+
+      // totalLength vaut 0 pour une réponse chunked : on surveille alors la taille reçue
+      if (enforceMaxFileSize(id, Math.max(totalBytes, doneBytes))) return;
+
+      switch (status.status) {
+        case 'complete':
+          Object.assign(download.info, { bytes: doneBytes, totalBytes, totalEstimated: false });
+          handleDownloadExit(id, 0, '');
+          break;
+
+        case 'error':
+        case 'removed':
+          handleDownloadExit(id, Number(status.errorCode) || -1,
+            `aria2 error ${status.errorCode || ''}: ${status.errorMessage || 'téléchargement retiré du démon'}`);
+          break;
+
+        default:
+          applyEngineProgress(id, ENGINE_REGISTRY.get('aria2').parseProgress(status));
+      }
+    }));
+  } finally {
+    aria2Polling = false;
+  }
+}
+
+async function addAria2Download(id, download, options) {
+  try {
+    // Reprise après pause : le GID existe encore dans le démon
+    if (download.gid) {
+      try {
+        await aria2Rpc('aria2.unpause', download.gid);
+        await aria2Rpc('aria2.changeOption', download.gid, { "max-download-limit": options["max-download-limit"] });
+        log('INFO', `GID aria2 repris: ${download.gid}`);
+        return;
+      } catch {
+        // GID perdu (démon relancé) : on repart du fichier de contrôle .aria2
+        download.gid = null;
+      }
+    }
+
+    download.gid = await aria2Rpc('aria2.addUri', [download.config.url], { dir: ownerDir(download.info.owner), ...options });
+    log('INFO', `GID aria2 attribué: ${download.gid}`, { filename: download.config.filename });
+
+    // Pause ou annulation demandée pendant l'appel RPC
+    if (download.info.status !== 'downloading') {
+      await stopDownloadEngine(download, download.info.status === 'paused' ? 'pause' : 'cancel');
+    }
+  } catch (e) {
+    log('ERROR', `Erreur RPC aria2: ${download.config.filename}`, { error: e.message });
+    handleDownloadExit(id, -1, `aria2 RPC error: ${e.message}`);
+  }
+}
+
+// Arrête le moteur d'un téléchargement : GID aria2 (pause/suppression RPC) ou processus local
+async function stopDownloadEngine(download, action) {
+  clearTimeout(download.timeout);
+  clearTimeout(download.scheduleTimer);
+  clearTimeout(download.retryTimer); // Retry en attente : ne doit plus relancer le job
+  download.retryTimer = null;
+
+  if (download.gid) {
+    try {
+      await aria2Rpc(action === 'pause' ? 'aria2.forcePause' : 'aria2.remove', download.gid);
+    } catch (e) {
+      log('WARN', `Erreur RPC aria2 (${action}) pour ${download.gid}`, { error: e.message });
+    }
+    if (action !== 'pause') download.gid = null;
+  }
+
+  if (download.process) {
+    download.process.kill("SIGTERM");
+    download.process = null;
+  }
+}
+
+// ================= RETENTION =================
+// Nettoyage périodique de la bibliothèque : fichiers plus vieux que maxAgeDays, puis
+// éviction des moins récemment consultés tant que downloads/ dépasse maxSize.
+// Les fichiers épinglés ne sont jamais supprimés.
+const RETENTION_STATUSES = ['completed', 'postprocess-failed'];
+const ACCESS_TOUCH_INTERVAL = 60 * 1000; // Évite une écriture d'historique par requête Range
+
+let retentionSettings = { maxAgeDays: 0, maxSize: 0 };
+let retentionTimer = null;
+let retentionSweeping = false;
+let lastSweep = null; // { at, removed, freed }
+
+// Dernier accès à un fichier servi par /files (base de l'éviction LRU)
+function touchLibraryFile(file) {
+  for (const record of jobStore.values()) {
+    if (record.file !== file) continue;
+    const last = new Date(record.lastAccessedAt || 0).getTime();
+    if (Date.now() - last > ACCESS_TOUCH_INTERVAL) {
+      updateJobRecord(record.id, { lastAccessedAt: new Date().toISOString() });
+    }
+    return;
+  }
+}
+
+// Fichiers de la bibliothèque encore présents sur disque (sortie, sous-titres, produits du post-traitement)
+async function libraryEntries() {
+  const entries = [];
+
+  for (const record of jobStore.values()) {
+    if (!RETENTION_STATUSES.includes(record.status) || record.purgedAt || activeDownloads.has(record.id)) continue;
+
+    const paths = [...new Set([record.file, ...(record.subtitleFiles || []), ...(record.postProcess || []).map(step => step.output)].filter(Boolean))];
+    let size = 0;
+    let exists = false;
+
+    for (const file of paths) {
+      const absolute = path.join(downloadsDir, file);
+      try {
+        const stats = await fs.stat(absolute);
+        size += stats.isDirectory() ? await dirSize(absolute) : stats.size;
+        exists = true;
+      } catch {
+        // Déjà supprimé (transfert, suppression manuelle)
+      }
+    }
+
+    if (!exists) continue;
+    entries.push({
+      id: record.id,
+      owner: record.owner || null,
+      file: record.file,
+      paths,
+      size,
+      pinned: !!record.pinned,
+      finishedAt: record.finishedAt || record.updatedAt,
+      lastAccessedAt: record.lastAccessedAt || record.finishedAt || record.updatedAt
+    });
+  }
+
+  return entries;
+}
+
+// Fichiers que le prochain passage supprimerait, avec la règle appliquée ("age" ou "size")
+async function planRetentionSweep() {
+  const { maxAgeDays, maxSize } = retentionSettings;
+  if (!maxAgeDays && !maxSize) return [];
+
+  const entries = await libraryEntries();
+  const removals = [];
+
+  if (maxAgeDays > 0) {
+    const cutoff = Date.now() - maxAgeDays * 24 * 3600 * 1000;
+    entries
+      .filter(entry => !entry.pinned && new Date(entry.finishedAt).getTime() < cutoff)
+      .forEach(entry => removals.push({ ...entry, reason: 'age' }));
+  }
+
+  if (maxSize > 0) {
+    let total = await dirSize(downloadsDir) - removals.reduce((sum, entry) => sum + entry.size, 0);
+    const candidates = entries
+      .filter(entry => !entry.pinned && !removals.some(removal => removal.id === entry.id))
+      .sort((a, b) => new Date(a.lastAccessedAt) - new Date(b.lastAccessedAt));
+
+    for (const entry of candidates) {
+      if (total <= maxSize) break;
+      removals.push({ ...entry, reason: 'size' });
+      total -= entry.size;
+    }
+  }
+
+  return removals;
+}
+
+async function sweepRetention() {
+  if (retentionSweeping) return lastSweep;
+  retentionSweeping = true;
+
+  try {
+    const removals = await planRetentionSweep();
+    const removed = [];
+
+    for (const entry of removals) {
+      try {
+        await Promise.all(entry.paths.map(file => fs.rm(path.join(downloadsDir, file), { recursive: true, force: true })));
+        await updateJobRecord(entry.id, { purgedAt: new Date().toISOString(), purgeReason: entry.reason });
+        removed.push({ id: entry.id, owner: entry.owner, file: entry.file, size: entry.size, reason: entry.reason });
+        log('INFO', `Rétention: ${entry.file} supprimé (${entry.reason === 'age' ? 'trop ancien' : 'bibliothèque pleine'}, ${formatSize(entry.size)})`);
+      } catch (e) {
+        log('ERROR', `Rétention: impossible de supprimer ${entry.file}`, { error: e.message });
+      }
+    }
+
+    const freed = removed.reduce((sum, entry) => sum + entry.size, 0);
+    lastSweep = { at: new Date().toISOString(), removed, freed };
+    if (removed.length > 0) {
+      log('SUCCESS', `Rétention: ${removed.length} fichier(s) supprimé(s), ${formatSize(freed)} libérés`);
+    }
+    return lastSweep;
+  } finally {
+    retentionSweeping = false;
+  }
+}
+
+function loadRetentionSettings() {
+  const maxAgeDays = parseFloat(RETENTION_MAX_AGE_DAYS);
+  const maxSize = parseSize(RETENTION_MAX_SIZE);
+
+  if (isNaN(maxAgeDays) || maxAgeDays < 0) log('WARN', `RETENTION_MAX_AGE_DAYS invalide ignoré: ${RETENTION_MAX_AGE_DAYS}`);
+  if (isNaN(maxSize)) log('WARN', `RETENTION_MAX_SIZE invalide ignoré: ${RETENTION_MAX_SIZE}`);
+
+  retentionSettings = {
+    maxAgeDays: maxAgeDays > 0 ? maxAgeDays : 0,
+    maxSize: isNaN(maxSize) ? 0 : maxSize
+  };
+  retentionTimer = setInterval(sweepRetention, RETENTION_INTERVAL * 1000);
+}
+
+function retentionStatus() {
+  return {
+    ...retentionSettings,
+    interval: RETENTION_INTERVAL,
+    lastSweep: lastSweep && { at: lastSweep.at, removed: lastSweep.removed.length, freed: lastSweep.freed }
+  };
+}
+
+app.get("/retention", (req, res) => {
+  res.json(retentionStatus());
+});
+
+app.put("/retention", requireScope('admin'), (req, res) => {
+  const { maxAgeDays, maxSize } = req.body;
+  const parsedAge = maxAgeDays === undefined ? retentionSettings.maxAgeDays : Number(maxAgeDays);
+  const parsedSize = maxSize === undefined ? retentionSettings.maxSize : parseSize(maxSize);
+
+  if (isNaN(parsedAge) || parsedAge < 0) {
+    return res.status(400).json({ error: "Âge maximal invalide (jours, 0 = désactivé)" });
+  }
+  if (isNaN(parsedSize)) {
+    return res.status(400).json({ error: "Taille maximale invalide (ex: 500G, 0 = désactivée)" });
+  }
+
+  retentionSettings = { maxAgeDays: parsedAge, maxSize: parsedSize };
+  log('INFO', 'Règles de rétention modifiées', retentionSettings);
+  res.json(retentionStatus());
+});
+
+// Aperçu du prochain passage, limité aux fichiers visibles par l'appelant
+app.get("/retention/preview", async (req, res) => {
+  const removals = (await planRetentionSweep()).filter(entry => canAccess(req.auth, entry.owner));
+  res.json({
+    removed: removals.map(({ id, owner, file, size, reason, lastAccessedAt }) => ({ id, owner, file, size, reason, lastAccessedAt })),
+    freed: removals.reduce((sum, entry) => sum + entry.size, 0)
+  });
+});
+
+app.post("/retention/sweep", requireScope('admin'), async (req, res) => {
+  res.json(await sweepRetention());
+});
+
+// Épingler un fichier le protège de toutes les règles de rétention
+app.post("/pin/:id", (req, res) => {
+  const { id } = req.params;
+  const { pinned = true } = req.body ?? {};
+  const record = jobStore.get(id);
+
+  if (!record || !canAccess(req.auth, record.owner)) {
+    return res.status(404).json({ error: "Fichier introuvable" });
+  }
+
+  updateJobRecord(id, { pinned: !!pinned });
+  log('INFO', `${record.file} ${pinned ? 'épinglé' : 'désépinglé'}`);
+  res.json({ success: true, pinned: !!pinned });
+});
+
+// ================= SIZE LIMIT =================
+// Taille maximale d'un fichier (MAX_FILE_SIZE), contrôlée avant le démarrage via HEAD
+// puis pendant le transfert (réponses chunked, flux HLS, yt-dlp)
+const MAX_FILE_BYTES = parseSize(MAX_FILE_SIZE) || 0; // 0 ou valeur invalide = pas de limite
+
+function exceedsMaxFileSize(bytes) {
+  return MAX_FILE_BYTES > 0 && bytes > MAX_FILE_BYTES;
+}
+
+// Fichiers partiels d'un job : sortie, fichier de contrôle .aria2, .part et fragments yt-dlp
+async function removePartialFiles(download) {
+  const { filename, engine, owner, container } = download.info;
+  const dir = ownerDir(owner);
+  const output = path.basename(getOutputFile(filename, engine, null, container));
+
+  let entries;
+  try {
+    entries = await fs.readdir(dir);
+  } catch {
+    return;
+  }
+
+  await Promise.all(entries
+    .filter(entry => entry === output || entry === `${output}.aria2` ||
+      (engine !== 'aria2' && entry.startsWith(`${filename}.`)))
+    .map(entry => fs.rm(path.join(dir, entry), { force: true })
+      .catch(e => log('WARN', `Impossible de supprimer ${entry}`, { error: e.message }))));
+}
+
+// Vérifie la taille (annoncée ou déjà reçue) d'un job en cours et l'interrompt si elle dépasse la limite
+function enforceMaxFileSize(id, bytes) {
+  if (!exceedsMaxFileSize(bytes)) return false;
+  abortTooLarge(id, bytes);
+  return true;
+}
+
+async function abortTooLarge(id, bytes) {
+  const download = activeDownloads.get(id);
+  if (!download || download.info.status !== 'downloading') return;
+
+  download.info.status = 'error';
+  download.info.errorCode = 'too-large';
+  download.info.error = `Fichier trop volumineux: ${formatSize(bytes)} (maximum ${formatSize(MAX_FILE_BYTES)})`;
+  log('WARN', `Téléchargement interrompu (too-large): ${download.info.filename}`, { size: formatSize(bytes), max: MAX_FILE_SIZE });
+
+  // Retiré des jobs actifs avant l'arrêt : la fin du processus ne déclenche pas de retry
+  activeDownloads.delete(id);
+  const proc = download.process;
+  await stopDownloadEngine(download, 'cancel');
+  if (proc && proc.exitCode === null && proc.signalCode === null) {
+    await new Promise(resolve => proc.once('close', resolve));
+  }
+  await removePartialFiles(download);
+
+  broadcast({ type: "status-change", download: download.info });
+  processQueue();
+}
+
+// ================= CHECKSUM =================
+const HASH_ALGORITHMS = { 32: 'md5', 40: 'sha1', 64: 'sha256', 128: 'sha512' }; // longueur hex → algorithme
+const DEFAULT_HASH_ALGORITHM = 'sha256';
+
+// "sha256:abc…" ou empreinte seule (algorithme déduit de la longueur) → { algorithm, hash }, null si invalide
+function parseChecksum(value, algorithm = null) {
+  const match = String(value).trim().toLowerCase().match(/^(?:(md5|sha1|sha256|sha512)[:=])?([0-9a-f]+)$/);
+  if (!match) return null;
+
+  const expected = HASH_ALGORITHMS[match[2].length];
+  const algo = match[1] || algorithm || expected;
+  return algo && algo === expected ? { algorithm: algo, hash: match[2] } : null;
+}
+
+// Fichier d'empreintes (format sha256sum ou BSD) : entrée du fichier téléchargé, ou seule entrée présente
+const CHECKSUM_FILE_MAX_BYTES = 1024 * 1024; // Un fichier SHA256SUMS reste petit
+
+// Corps de réponse lu par morceaux, abandonné au-delà de maxBytes
+async function readLimitedText(resp, maxBytes) {
+  const chunks = [];
+  let total = 0;
+  for await (const chunk of resp.body) {
+    total += chunk.length;
+    if (total > maxBytes) throw new Error(`réponse trop volumineuse (plus de ${formatSize(maxBytes)})`);
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+async function fetchChecksumFile(checksumUrl, name, ua, proxy) {
+  // Revérifié ici : ALLOWED_DOMAINS peut avoir changé depuis la création du job
+  if (!isDomainAllowed(checksumUrl)) throw new Error(`domaine non autorisé: ${new URL(checksumUrl).hostname}`);
+
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), 10000);
+  let text;
+
+  try {
+    const resp = await proxiedFetch(checksumUrl, { headers: { 'User-Agent': defaultUA(ua) }, signal: controller.signal }, proxy);
+    if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
+    text = await readLimitedText(resp, CHECKSUM_FILE_MAX_BYTES);
+  } finally {
+    clearTimeout(timeoutId);
+  }
+
+  const urlAlgorithm = checksumUrl.toLowerCase().match(/(md5|sha1|sha256|sha512)(?:sums?)?\b/)?.[1] || null;
+
+  const entries = text.split("\n").map(line => {
+    line = line.trim();
+    const bsd = line.match(/^(MD5|SHA1|SHA256|SHA512) \((.+)\) = ([0-9a-f]+)$/i);
+    if (bsd) return { name: bsd[2], checksum: parseChecksum(bsd[3], bsd[1].toLowerCase()) };
+
+    const gnu = line.match(/^([0-9a-f]+)(?:\s+\*?(.+))?$/i);
+    return gnu ? { name: gnu[2] || null, checksum: parseChecksum(gnu[1], urlAlgorithm) } : null;
+  }).filter(entry => entry?.checksum);
+
+  const entry = entries.find(e => e.name && path.basename(e.name) === name)
+    || (entries.length === 1 ? entries[0] : null);
+
+  if (!entry) throw new Error(`aucune empreinte pour ${name}`);
+  return entry.checksum;
+}
+
+function hashFile(file, algorithm) {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash(algorithm);
+    fsSync.createReadStream(file)
+      .on('error', reject)
+      .on('data', chunk => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+}
+
+// Empreinte du fichier terminé (toujours calculée, conservée dans l'historique)
+// et comparaison avec l'empreinte attendue si le job en fournit une
+async function verifyDownload(id) {
+  const download = activeDownloads.get(id);
+  if (!download) return;
+
+  const { filename } = download.info;
+  const { checksum, checksumUrl, url, ua, proxy } = download.config || {};
+  const file = path.join(downloadsDir, getOutputFile(filename, download.info.engine, download.info.owner, download.info.container));
+
+  download.info.status = 'verifying';
+  broadcast({ type: "status-change", download: download.info });
+
+  let expected = checksum ? parseChecksum(checksum) : null;
+  let failure = null;
+
+  if (checksumUrl) {
+    try {
+      expected = await fetchChecksumFile(checksumUrl, path.basename(new URL(url).pathname), ua, proxy);
+    } catch (e) {
+      failure = `Empreinte attendue introuvable (${checksumUrl}): ${e.message}`;
+    }
+  }
+
+  const algorithm = expected?.algorithm || DEFAULT_HASH_ALGORITHM;
+  let computed = null;
+  try {
+    computed = await hashFile(file, algorithm);
+  } catch (e) {
+    log('WARN', `Calcul d'empreinte impossible: ${filename}`, { error: e.message });
+  }
+
+  // Job annulé pendant le calcul
+  if (activeDownloads.get(id) !== download || download.info.status !== 'verifying') return;
+
+  download.info.checksum = computed
+    ? { algorithm, value: computed, expected: expected?.hash || null, verified: expected ? computed === expected.hash : null }
+    : null;
+
+  if (!failure && expected && computed !== expected.hash) {
+    failure = computed
+      ? `Empreinte ${algorithm} invalide: ${computed} au lieu de ${expected.hash}`
+      : `Fichier illisible, empreinte ${algorithm} non vérifiée`;
+  }
+
+  if (failure) {
+    download.info.status = 'verification-failed';
+    download.info.error = failure;
+    log('ERROR', `Vérification échouée: ${filename}`, { error: failure });
+    activeDownloads.delete(id);
+    broadcast({ type: "status-change", download: download.info });
+    return;
+  }
+
+  log('SUCCESS', `Téléchargement terminé: ${filename}`, {
+    size: formatSize(download.info.totalBytes ?? download.info.bytes),
+    [algorithm]: computed,
+    verified: download.info.checksum?.verified ?? null
+  });
+
+  if (download.info.postProcess?.length > 0) {
+    runPostProcessing(id);
+    return;
+  }
+
+  download.info.status = 'completed';
+  activeDownloads.delete(id);
+  broadcast({ type: "status-change", download: download.info });
+}
+
+// ================= POST-PROCESSING =================
+// Chaîne d'étapes exécutée après un téléchargement vérifié. Chaque étape travaille sur le
+// fichier téléchargé ; un échec n'arrête pas les suivantes et le job finit en "postprocess-failed".
+const POSTPROCESS_CATEGORIES = {}; // catégorie -> étapes par défaut
+// Options reprises dans le chemin de sortie ou la ligne de commande ffmpeg : liste fermée
+const REMUX_FORMATS = ['mkv', 'mp4', 'webm'];
+const AUDIO_FORMATS = ['mp3', 'm4a', 'opus', 'flac'];
+const THUMBNAIL_AT_PATTERN = /^\d+(\.\d+)?$/; // secondes
+
+async function loadPostProcessCategories() {
+  try {
+    const categories = JSON.parse(await fs.readFile(POSTPROCESS_FILE, 'utf8'));
+    Object.assign(POSTPROCESS_CATEGORIES, categories);
+    log('INFO', `Post-traitements chargés: ${Object.keys(categories).join(', ')}`, { file: POSTPROCESS_FILE });
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      log('ERROR', 'Erreur chargement post-traitements:', e.message);
+    }
+  }
+}
+
+function detectCategory(filename, engine) {
+  if (/\.(zip|tar|tgz|gz|bz2|xz|7z|rar)$/i.test(filename)) return 'archive';
+  if (/\.(mp3|m4a|aac|flac|ogg|opus|wav)$/i.test(filename)) return 'audio';
+  if (engine !== 'aria2' || /\.(mp4|mkv|webm|avi|mov|ts)$/i.test(filename)) return 'video';
+  return 'other';
+}
+
+// Exécute un outil externe ; rejette avec la dernière ligne de sortie en cas d'échec.
+// download : le processus y est rattaché pour qu'une annulation l'arrête (stopDownloadEngine)
+function runTool(command, args, { onOutput, env, download } = {}) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn(command, args, { env: { ...process.env, ...env } });
+    let output = "";
+    if (download) download.process = proc;
+
+    const handle = d => {
+      const text = d.toString();
+      output = (output + text).slice(-2000);
+      if (onOutput) onOutput(text);
+    };
+    proc.stdout.on("data", handle);
+    proc.stderr.on("data", handle);
+
+    proc.on("error", reject);
+    proc.on("close", code => {
+      if (download?.process === proc) download.process = null;
+      if (code === 0) return resolve();
+      const lastLine = output.trim().split("\n").pop();
+      reject(new Error(lastLine ? lastLine.substring(0, 200) : `${command} a échoué (code ${code})`));
+    });
+  });
+}
+
+function parseTimestamp(h, m, s) {
+  return parseInt(h) * 3600 + parseInt(m) * 60 + parseFloat(s);
+}
+
+// Progression ffmpeg : position (time=) rapportée à la durée de l'entrée (Duration:)
+function ffmpegStepProgress(onProgress) {
+  let duration = 0;
+  return text => {
+    const durationMatch = text.match(/Duration: (\d+):(\d+):(\d+(?:\.\d+)?)/);
+    if (durationMatch) duration = parseTimestamp(...durationMatch.slice(1));
+
+    const timeMatch = text.match(/time=(\d+):(\d+):(\d+(?:\.\d+)?)/);
+    if (timeMatch && duration > 0) {
+      onProgress(Math.min(99, Math.floor(parseTimestamp(...timeMatch.slice(1)) * 100 / duration)));
+    }
+  };
+}
+
+// option : clé renseignée par la forme courte "etape:valeur"
+const POSTPROCESS_STEPS = {
+  remux: {
+    option: 'format',
+    defaults: { format: 'mkv' },
+    valid: ({ format }) => REMUX_FORMATS.includes(format),
+    async run({ file, base, download }, { format }, onProgress) {
+      const output = `${base}.remux.${format}`;
+      await runTool("ffmpeg", ["-y", "-i", file, "-map", "0", "-c", "copy", output], { onOutput: ffmpegStepProgress(onProgress), download });
+      return output;
+    }
+  },
+
+  'extract-audio': {
+    option: 'format',
+    defaults: { format: 'mp3' },
+    valid: ({ format }) => AUDIO_FORMATS.includes(format),
+    async run({ file, base, download }, { format }, onProgress) {
+      const output = `${base}.${format}`;
+      await runTool("ffmpeg", ["-y", "-i", file, "-vn", "-q:a", "2", output], { onOutput: ffmpegStepProgress(onProgress), download });
+      return output;
+    }
+  },
+
+  thumbnail: {
+    option: 'at',
+    defaults: { at: '5' },
+    valid: ({ at }) => THUMBNAIL_AT_PATTERN.test(String(at)),
+    async run({ file, base, download }, { at }) {
+      const output = `${base}.jpg`;
+      await runTool("ffmpeg", ["-y", "-ss", String(at), "-i", file, "-frames:v", "1", "-q:v", "2", output], { download });
+      return output;
+    }
+  },
+
+  unpack: {
+    option: null,
+    defaults: {},
+    async run({ file, base, download }) {
+      const output = base.replace(/\.tar$/i, "");
+      await fs.mkdir(output, { recursive: true });
+
+      if (/\.zip$/i.test(file)) {
+        await runTool("unzip", ["-o", file, "-d", output], { download });
+      } else if (/\.(tar|tgz|gz|bz2|xz)$/i.test(file)) {
+        await runTool("tar", ["-xf", file, "-C", output], { download });
+      } else if (/\.(7z|rar)$/i.test(file)) {
+        await runTool("7z", ["x", "-y", `-o${output}`, file], { download });
+      } else {
+        throw new Error("Format d'archive non reconnu");
+      }
+      return output;
+    }
+  },
+
+  // Script de POSTPROCESS_SCRIPTS_DIR appelé avec le fichier en argument ;
+  // une ligne "PROGRESS <n>" sur sa sortie met à jour la progression
+  script: {
+    option: 'name',
+    defaults: {},
+    async run({ file, download }, { name }, onProgress) {
+      const script = path.join(POSTPROCESS_SCRIPTS_DIR, path.basename(String(name || "")));
+      await fs.access(script, fsSync.constants.X_OK);
+
+      await runTool(script, [file], {
+        download,
+        env: { DOWNLOAD_ID: download.info.id, DOWNLOAD_URL: download.info.url, DOWNLOAD_FILE: file },
+        onOutput: text => {
+          const match = text.match(/^PROGRESS (\d+)/m);
+          if (match) onProgress(Math.min(99, parseInt(match[1])));
+        }
+      });
+      return null;
+    }
+  }
+};
+
+// "remux:mkv" ou { step: "remux", format: "mkv" } → { step, options }, null si étape inconnue
+// ou option refusée
+function parsePostProcessStep(spec) {
+  const [step, value] = typeof spec === "string" ? spec.split(/:(.*)/) : [spec?.step];
+  const definition = POSTPROCESS_STEPS[step];
+  if (!definition) return null;
+
+  const options = typeof spec === "string"
+    ? (definition.option && value ? { [definition.option]: value } : {})
+    : Object.fromEntries(Object.entries(spec).filter(([key]) => key !== "step"));
+
+  const merged = { ...definition.defaults, ...options };
+  if (definition.option && !merged[definition.option]) return null; // ex: script sans nom
+  if (definition.valid && !definition.valid(merged)) return null;
+  return { step, options: merged };
+}
+
+function postProcessError() {
+  return `Post-traitement invalide (étapes: ${Object.keys(POSTPROCESS_STEPS).join(', ')} ; ` +
+    `remux: ${REMUX_FORMATS.join('/')}, extract-audio: ${AUDIO_FORMATS.join('/')}, thumbnail: secondes)`;
+}
+
+// Étapes du job : liste explicite, sinon celles de sa catégorie
+function resolvePostProcess(postProcess, category) {
+  const specs = postProcess ?? POSTPROCESS_CATEGORIES[category] ?? [];
+  if (!Array.isArray(specs)) return null;
+
+  const steps = specs.map(parsePostProcessStep);
+  return steps.every(Boolean) ? steps : null;
+}
+
+// État de la chaîne exposé dans info (SSE + historique)
+function buildPipeline(steps) {
+  return (steps || []).map(({ step, options }) => ({
+    step, options, status: 'pending', progress: 0, output: null, error: null
+  }));
+}
+
+async function runPostProcessing(id) {
+  const download = activeDownloads.get(id);
+  if (!download) return;
+
+  const { filename, engine, owner, container } = download.info;
+  const file = path.join(downloadsDir, getOutputFile(filename, engine, owner, container));
+  const context = { download, file, base: file.replace(/\.[^./]+$/, "") };
+
+  download.info.status = 'postprocessing';
+  broadcast({ type: "status-change", download: download.info });
+
+  for (const [index, step] of download.info.postProcess.entries()) {
+    if (step.status === 'done') continue; // Reprise après redémarrage ou relance
+    if (activeDownloads.get(id) !== download) return; // Annulé entre deux étapes
+
+    step.status = 'running';
+    step.progress = 0;
+    step.error = null;
+    broadcast({ type: "status-change", download: download.info });
+    log('INFO', `Post-traitement ${step.step} (${index + 1}/${download.info.postProcess.length}): ${filename}`);
+
+    try {
+      const output = await POSTPROCESS_STEPS[step.step].run(context, step.options, progress => {
+        step.progress = progress;
+        broadcast({ type: "postprocess", id, index, step });
+      });
+      step.output = output ? path.relative(downloadsDir, output) : null;
+      step.status = 'done';
+      step.progress = 100;
+    } catch (e) {
+      if (activeDownloads.get(id) !== download) return; // Annulé : outil arrêté
+      step.status = 'failed';
+      step.error = e.message;
+      log('ERROR', `Post-traitement ${step.step} échoué: ${filename}`, { error: e.message });
+    }
+
+    broadcast({ type: "postprocess", id, index, step });
+  }
+
+  if (activeDownloads.get(id) !== download) return;
+
+  const failed = download.info.postProcess.filter(step => step.status === 'failed');
+  download.info.status = failed.length > 0 ? 'postprocess-failed' : 'completed';
+  download.info.error = failed.length > 0
+    ? `Post-traitement échoué: ${failed.map(step => `${step.step} (${step.error})`).join(', ')}`.substring(0, 300)
+    : undefined;
+
+  activeDownloads.delete(id);
+  broadcast({ type: "status-change", download: download.info });
+}
+
+// ================= HLS =================
+// Les master playlists sont lues par le serveur : ffmpeg reçoit directement la variante
+// choisie (meilleure qualité sous HLS_MAX_HEIGHT par défaut) et la piste audio associée.
+const MANIFEST_FETCH_TIMEOUT = 10000;
+const MAX_VIDEO_HEIGHT = 4320;
+
+// En-têtes HTTP d'un flux (ffmpeg et lecture des playlists), au format "Nom: valeur"
+function streamHeaders(config) {
+  const cookieHeader = [config.cookies, config.cookiesFile && cookiesFromFile(config.cookiesFile, config.url)]
+    .filter(Boolean).join("; ");
+  return [
+    `User-Agent: ${defaultUA(config.ua)}`,
+    config.referer && `Referer: ${config.referer}`,
+    cookieHeader && `Cookie: ${cookieHeader}`,
+    ...extraHeaders(config)
+  ].filter(Boolean);
+}
+
+// Liste d'attributs HLS : BANDWIDTH=1280000,RESOLUTION=1280x720,CODECS="avc1.4d401f,mp4a.40.2"
+function parseAttributeList(text) {
+  const attributes = {};
+  for (const [, key, value] of text.matchAll(/([A-Z0-9-]+)=("[^"]*"|[^,]*)/g)) {
+    attributes[key] = value.replace(/^"|"$/g, "");
+  }
+  return attributes;
+}
+
+// Variantes (meilleure qualité en premier) et renditions (EXT-X-MEDIA) d'une playlist HLS ;
+// pour une playlist media, durée totale (somme des EXTINF) et direct si #EXT-X-ENDLIST est absent
+function parseHlsPlaylist(text, baseUrl) {
+  const lines = text.split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  if (lines[0] !== "#EXTM3U") throw new Error("Playlist HLS invalide (#EXTM3U absent)");
+
+  const variants = [];
+  const media = [];
+  let streamInf = null;
+  let duration = 0;
+  let endList = false;
+
+  lines.forEach(line => {
+    if (line.startsWith("#EXTINF:")) {
+      duration += parseFloat(line.slice("#EXTINF:".length)) || 0;
+    } else if (line === "#EXT-X-ENDLIST") {
+      endList = true;
+    } else if (line.startsWith("#EXT-X-STREAM-INF:")) {
+      streamInf = parseAttributeList(line.slice("#EXT-X-STREAM-INF:".length));
+    } else if (line.startsWith("#EXT-X-MEDIA:")) {
+      const attributes = parseAttributeList(line.slice("#EXT-X-MEDIA:".length));
+      media.push({
+        type: attributes.TYPE,
+        groupId: attributes["GROUP-ID"] || null,
+        name: attributes.NAME || null,
+        language: attributes.LANGUAGE || null,
+        default: attributes.DEFAULT === "YES",
+        autoselect: attributes.AUTOSELECT === "YES",
+        url: attributes.URI ? new URL(attributes.URI, baseUrl).href : null
+      });
+    } else if (streamInf && !line.startsWith("#")) {
+      const [width, height] = (streamInf.RESOLUTION || "").split("x").map(Number);
+      variants.push({
+        url: new URL(line, baseUrl).href,
+        bandwidth: Number(streamInf.BANDWIDTH) || 0,
+        averageBandwidth: Number(streamInf["AVERAGE-BANDWIDTH"]) || null,
+        width: width || null,
+        height: height || null,
+        codecs: streamInf.CODECS || null,
+        frameRate: Number(streamInf["FRAME-RATE"]) || null,
+        audio: streamInf.AUDIO || null,
+        subtitles: streamInf.SUBTITLES || null
+      });
+      streamInf = null;
+    }
+  });
+
+  variants.sort((a, b) => (b.height || 0) - (a.height || 0) || b.bandwidth - a.bandwidth);
+  const master = variants.length > 0;
+  return { master, variants, media, duration: master ? null : duration, live: !master && !endList };
+}
+
+// Manifeste HLS / DASH lu avec les en-têtes et le proxy du job
+async function fetchManifest(url, config) {
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), MANIFEST_FETCH_TIMEOUT);
+
+  try {
+    const headers = Object.fromEntries(streamHeaders({ ...config, url }).map(header => {
+      const separator = header.indexOf(":");
+      return [header.slice(0, separator).trim(), header.slice(separator + 1).trim()];
+    }));
+    const response = await proxiedFetch(url, { headers, signal: controller.signal }, config.proxy);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return { text: await response.text(), url: response.url || url };
+  } finally {
+    clearTimeout(timeoutId);
+  }
+}
+
+async function fetchHlsPlaylist(url, config) {
+  const manifest = await fetchManifest(url, config);
+  return parseHlsPlaylist(manifest.text, manifest.url);
+}
+
+function variantLabel(variant) {
+  const resolution = variant.height ? `${variant.height}p` : "résolution inconnue";
+  const bitrate = variant.bandwidth >= 1e6
+    ? `${(variant.bandwidth / 1e6).toFixed(1)} Mbit/s`
+    : `${Math.round(variant.bandwidth / 1e3)} kbit/s`;
+  return `${resolution} · ${bitrate}`;
+}
+
+// Index de la meilleure variante ne dépassant pas maxHeight (la plus petite si aucune ne convient)
+function selectVariant(variants, maxHeight) {
+  if (!maxHeight) return 0;
+  const index = variants.findIndex(variant => !variant.height || variant.height <= maxHeight);
+  return index === -1 ? variants.length - 1 : index;
+}
+
+// Piste audio séparée d'une variante : celle demandée, sinon la piste par défaut de son groupe
+function selectHlsAudio(playlist, variant, audioTrack) {
+  const tracks = playlist.media.filter(media => media.type === "AUDIO");
+  if (audioTrack !== undefined && audioTrack !== null) return tracks[audioTrack] || null;
+
+  const group = tracks.filter(track => track.groupId === variant.audio);
+  return group.find(track => track.default) || group[0] || null;
+}
+
+// Sélection HLS d'un job, ou message d'erreur si l'index ou la langue demandés n'existent pas
+function resolveHlsSelection(playlist, { variant, audioTrack, maxHeight, subtitles = [] }) {
+  if (!playlist.master) {
+    if (subtitles.length > 0) return { error: "Playlist HLS sans pistes de sous-titres (playlist media)" };
+    return variant !== undefined && variant !== null ? { error: "Playlist HLS sans variantes (playlist media)" } : null;
+  }
+
+  const index = variant !== undefined && variant !== null ? variant : selectVariant(playlist.variants, maxHeight);
+  const selected = playlist.variants[index];
+  if (!selected) return { error: `Variante HLS inconnue (0 à ${playlist.variants.length - 1})` };
+
+  const audioTracks = playlist.media.filter(media => media.type === "AUDIO");
+  if (audioTrack !== undefined && audioTrack !== null && !audioTracks[audioTrack]) {
+    return { error: `Piste audio HLS inconnue (0 à ${audioTracks.length - 1})` };
+  }
+  const audio = selectHlsAudio(playlist, selected, audioTrack);
+
+  const subtitleTracks = subtitles.length > 0 ? selectHlsSubtitles(playlist, selected, subtitles) : [];
+  if (subtitles.length > 0 && subtitleTracks.length === 0) {
+    const available = playlist.media.filter(media => media.type === "SUBTITLES").map(track => track.language || track.name);
+    return { error: `Aucune piste de sous-titres HLS pour: ${subtitles.join(', ')} (disponibles: ${available.join(', ') || 'aucune'})` };
+  }
+
+  return {
+    variant: index,
+    url: selected.url,
+    audioUrl: audio?.url || null,
+    audioName: audio?.name || null,
+    subtitles: subtitleTracks.map(({ url, language, name }) => ({ url, language, name })),
+    height: selected.height,
+    label: variantLabel(selected)
+  };
+}
+
+// Index facultatif (variante, piste) ou hauteur maximale : entier positif, NaN si invalide
+function parseOptionalIndex(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 0 ? number : NaN;
+}
+
+app.get("/probe/hls", async (req, res) => {
+  const { url, referer } = req.query;
+  if (!url || !isAllowedProtocol(url)) {
+    return res.status(400).json({ error: "URL invalide (http/https uniquement)" });
+  }
+  if (!isDomainAllowed(url)) {
+    return res.status(403).json({ error: `Domaine non autorisé: ${new URL(url).hostname}` });
+  }
+
+  const maxHeight = parseOptionalIndex(req.query.maxHeight);
+  if (isNaN(maxHeight) || maxHeight > MAX_VIDEO_HEIGHT) {
+    return res.status(400).json({ error: "Hauteur maximale invalide (ex: 1080)" });
+  }
+
+  const config = applyDomainProfile({ url, referer });
+  try {
+    const playlist = await fetchHlsPlaylist(url, config);
+    const effectiveMaxHeight = maxHeight ?? HLS_MAX_HEIGHT;
+    res.json({
+      url,
+      master: playlist.master,
+      variants: playlist.variants.map((variant, index) => ({ index, label: variantLabel(variant), ...variant })),
+      audio: playlist.media.filter(media => media.type === "AUDIO").map((track, index) => ({ index, ...track })),
+      subtitles: playlist.media.filter(media => media.type === "SUBTITLES").map((track, index) => ({ index, ...track })),
+      maxHeight: effectiveMaxHeight,
+      selected: playlist.master ? selectVariant(playlist.variants, effectiveMaxHeight) : null
+    });
+  } catch (e) {
+    const error = redactProxy(e.message, config.proxy);
+    log('WARN', 'Lecture de la playlist HLS impossible', { url: url.substring(0, 100), error });
+    res.status(502).json({ error: `Lecture de la playlist HLS impossible: ${error}` });
+  }
+});
+
+// ================= DASH =================
+// Les manifestes MPD sont lus par le serveur : ffmpeg reçoit la représentation vidéo et la
+// représentation audio choisies (sélection par l'id de représentation, -map 0:m:id:…).
+const mpdParser = new XMLParser({
+  ignoreAttributes: false,
+  removeNSPrefix: true,
+  parseAttributeValue: false,
+  isArray: name => ["Period", "AdaptationSet", "Representation"].includes(name)
+});
+
+// Durée ISO 8601 (PT1H2M3.5S) en secondes, null si absente ou invalide
+function parseIsoDuration(value) {
+  const match = /^P(?:([\d.]+)D)?(?:T(?:([\d.]+)H)?(?:([\d.]+)M)?(?:([\d.]+)S)?)?$/.exec(value || "");
+  if (!match) return null;
+  const [days, hours, minutes, seconds] = match.slice(1).map(part => parseFloat(part) || 0);
+  return days * 86400 + hours * 3600 + minutes * 60 + seconds;
+}
+
+// frameRate DASH : "25" ou "30000/1001"
+function parseFrameRate(value) {
+  if (!value) return null;
+  const [numerator, denominator = 1] = String(value).split("/").map(Number);
+  return denominator ? Math.round(numerator / denominator * 1000) / 1000 : null;
+}
+
+// video, audio ou text (sous-titres), d'après contentType ou le type MIME
+function dashContentType(adaptationSet, representations) {
+  const type = adaptationSet["@_contentType"] ||
+    (adaptationSet["@_mimeType"] || representations[0]?.mimeType || "").split("/")[0];
+  return type === "application" ? "text" : type || null;
+}
+
+// Attributs texte d'un manifeste tiers repris dans les libellés du job (codecs "avc1.640028",
+// langue "fr-CA", type MIME) : tout caractère hors de ces formes est écarté
+function manifestToken(value) {
+  const token = String(value ?? "").replace(/[^\w.,+\-\/ ]/g, "").trim().slice(0, 64);
+  return token || null;
+}
+
+// Id de représentation repris tel quel dans le sélecteur de flux ffmpeg (-map 0:m:id:…)
+const DASH_REPRESENTATION_ID_PATTERN = /^[\w.-]+$/;
+
+// Périodes, adaptation sets et représentations (meilleure qualité en premier) d'un manifeste MPD
+function parseDashManifest(text) {
+  let mpd;
+  try {
+    mpd = mpdParser.parse(text).MPD;
+  } catch (e) {
+    throw new Error(`Manifeste DASH illisible: ${e.message}`);
+  }
+  if (!mpd) throw new Error("Manifeste DASH invalide (élément MPD absent)");
+
+  const duration = parseIsoDuration(mpd["@_mediaPresentationDuration"]);
+  const periods = (mpd.Period || []).map((period, periodIndex, all) => ({
+    id: period["@_id"] ?? String(periodIndex),
+    start: parseIsoDuration(period["@_start"]),
+    duration: parseIsoDuration(period["@_duration"]) ?? (all.length === 1 ? duration : null),
+    adaptationSets: (period.AdaptationSet || []).map((adaptationSet, setIndex) => {
+      const inherited = name => adaptationSet[`@_${name}`];
+      const representations = (adaptationSet.Representation || [])
+        .filter(representation => DASH_REPRESENTATION_ID_PATTERN.test(representation["@_id"] ?? ""))
+        .map(representation => {
+          const attribute = name => representation[`@_${name}`] ?? inherited(name);
+          return {
+            id: representation["@_id"],
+            bandwidth: Number(representation["@_bandwidth"]) || 0,
+            width: Number(attribute("width")) || null,
+            height: Number(attribute("height")) || null,
+            codecs: manifestToken(attribute("codecs")),
+            mimeType: manifestToken(attribute("mimeType")),
+            frameRate: parseFrameRate(attribute("frameRate")),
+            audioSamplingRate: Number(attribute("audioSamplingRate")) || null
+          };
+        })
+        .sort((a, b) => (b.height || 0) - (a.height || 0) || b.bandwidth - a.bandwidth);
+
+      return {
+        id: adaptationSet["@_id"] ?? String(setIndex),
+        contentType: dashContentType(adaptationSet, representations),
+        lang: manifestToken(inherited("lang")),
+        representations
+      };
+    })
+  }));
+
+  return { live: mpd["@_type"] === "dynamic", duration, periods };
+}
+
+async function fetchDashManifest(url, config) {
+  return parseDashManifest((await fetchManifest(url, config)).text);
+}
+
+// ffmpeg ne lit qu'une période : la plus longue (la dernière à égalité), comme son démuxeur DASH
+function mainDashPeriod(manifest) {
+  return manifest.periods.reduce((main, period) =>
+    !main || (period.duration || 0) >= (main.duration || 0) ? period : main, null);
+}
+
+// Représentations d'un type sur toute la période, meilleure qualité en premier
+function dashTracks(period, contentType) {
+  return (period?.adaptationSets || [])
+    .filter(adaptationSet => adaptationSet.contentType === contentType)
+    .flatMap(adaptationSet => adaptationSet.representations.map(representation => ({
+      ...representation,
+      adaptationSet: adaptationSet.id,
+      lang: adaptationSet.lang
+    })))
+    .sort((a, b) => (b.height || 0) - (a.height || 0) || b.bandwidth - a.bandwidth);
+}
+
+function dashAudioLabel(track) {
+  return [track.lang, track.codecs, `${Math.round(track.bandwidth / 1e3)} kbit/s`].filter(Boolean).join(" · ");
+}
+
+// Sélection DASH d'un job, ou message d'erreur si l'index demandé n'existe pas
+function resolveDashSelection(manifest, { variant, audioTrack, maxHeight }) {
+  const period = mainDashPeriod(manifest);
+  const videos = dashTracks(period, "video");
+  const audios = dashTracks(period, "audio");
+
+  if (videos.length === 0 && audios.length === 0) {
+    return { error: "Manifeste DASH sans représentation audio ou vidéo" };
+  }
+  if (variant !== null && !videos[variant]) {
+    return { error: `Représentation vidéo inconnue (0 à ${videos.length - 1})` };
+  }
+  if (audioTrack !== null && !audios[audioTrack]) {
+    return { error: `Représentation audio inconnue (0 à ${audios.length - 1})` };
+  }
+
+  const videoIndex = variant ?? (videos.length > 0 ? selectVariant(videos, maxHeight) : null);
+  const audioIndex = audioTrack ?? (audios.length > 0 ? 0 : null);
+  const video = videos[videoIndex];
+  const audio = audios[audioIndex];
+
+  return {
+    variant: videoIndex,
+    audioTrack: audioIndex,
+    period: period.id,
+    videoId: video?.id || null,
+    audioId: audio?.id || null,
+    height: video?.height || null,
+    label: [video && variantLabel(video), audio && dashAudioLabel(audio)].filter(Boolean).join(" + ")
+  };
+}
+
+app.get("/probe/dash", async (req, res) => {
+  const { url, referer } = req.query;
+  if (!url || !isAllowedProtocol(url)) {
+    return res.status(400).json({ error: "URL invalide (http/https uniquement)" });
+  }
+  if (!isDomainAllowed(url)) {
+    return res.status(403).json({ error: `Domaine non autorisé: ${new URL(url).hostname}` });
+  }
+
+  const maxHeight = parseOptionalIndex(req.query.maxHeight);
+  if (isNaN(maxHeight) || maxHeight > MAX_VIDEO_HEIGHT) {
+    return res.status(400).json({ error: "Hauteur maximale invalide (ex: 1080)" });
+  }
+
+  const config = applyDomainProfile({ url, referer });
+  try {
+    const manifest = await fetchDashManifest(url, config);
+    const period = mainDashPeriod(manifest);
+    const videos = dashTracks(period, "video");
+    const effectiveMaxHeight = maxHeight ?? HLS_MAX_HEIGHT;
+
+    res.json({
+      url,
+      live: manifest.live,
+      duration: manifest.duration,
+      periods: manifest.periods,
+      period: period?.id ?? null,
+      variants: videos.map((track, index) => ({ index, label: variantLabel(track), ...track })),
+      audio: dashTracks(period, "audio").map((track, index) => ({ index, label: dashAudioLabel(track), ...track })),
+      subtitles: dashTracks(period, "text").map((track, index) => ({ index, ...track })),
+      maxHeight: effectiveMaxHeight,
+      selected: videos.length > 0 ? selectVariant(videos, effectiveMaxHeight) : null
+    });
+  } catch (e) {
+    const error = redactProxy(e.message, config.proxy);
+    log('WARN', 'Lecture du manifeste DASH impossible', { url: url.substring(0, 100), error });
+    res.status(502).json({ error: `Lecture du manifeste DASH impossible: ${error}` });
+  }
+});
+
+// Type de manifeste d'un job : extension de l'URL, sinon content-type relevé par la sonde HEAD
+function manifestType(config) {
+  if (/\.m3u8/i.test(config.url)) return 'hls';
+  if (/\.mpd/i.test(config.url) || config.manifest === 'dash') return 'dash';
+  return null;
+}
+
+// ================= STREAM DURATION =================
+// Durée totale d'un flux lu par ffmpeg, sondée avant son lancement : somme des EXTINF de la
+// variante HLS, durée de la période DASH, sinon ffprobe. Un flux sans fin connue est un direct.
+const FFPROBE_TIMEOUT = 30000;
+
+// Durée du conteneur selon ffprobe (secondes), null si inconnue ("N/A") ou ffprobe indisponible
+function ffprobeDuration(config) {
+  return new Promise(resolve => {
+    const headers = streamHeaders(config).map(header => `${header}\r\n`).join("");
+    const proc = spawn("ffprobe", [
+      "-v", "error",
+      "-show_entries", "format=duration",
+      "-of", "default=noprint_wrappers=1:nokey=1",
+      "-headers", headers,
+      ...(config.proxy ? ["-http_proxy", config.proxy] : []),
+      config.hls?.url || config.url
+    ]);
+    let stdout = "";
+
+    const timeout = setTimeout(() => proc.kill("SIGTERM"), FFPROBE_TIMEOUT);
+    proc.stdout.on("data", d => { stdout += d; });
+    proc.on("error", () => {
+      clearTimeout(timeout);
+      resolve(null);
+    });
+    proc.on("close", code => {
+      clearTimeout(timeout);
+      const duration = parseFloat(stdout.trim());
+      resolve(code === 0 && duration > 0 ? duration : null);
+    });
+  });
+}
+
+// { duration, live, source } d'un job ffmpeg ; duration null si elle n'a pas pu être déterminée
+async function probeStreamDuration(config) {
+  const type = manifestType(config);
+
+  try {
+    if (type === 'hls') {
+      let playlist = await fetchHlsPlaylist(config.hls?.url || config.url, config);
+      // Master non résolue à l'ajout du job : ffmpeg retient la meilleure variante
+      if (playlist.master) playlist = await fetchHlsPlaylist(playlist.variants[0].url, config);
+      if (playlist.live) return { duration: null, live: true, source: 'playlist' };
+      if (playlist.duration > 0) return { duration: playlist.duration, live: false, source: 'playlist' };
+    } else if (type === 'dash') {
+      const manifest = await fetchDashManifest(config.url, config);
+      if (manifest.live) return { duration: null, live: true, source: 'manifest' };
+      // ffmpeg ne lit que la période principale
+      const duration = mainDashPeriod(manifest)?.duration || manifest.duration;
+      if (duration > 0) return { duration, live: false, source: 'manifest' };
+    }
+  } catch (e) {
+    log('WARN', 'Lecture du manifeste impossible, durée demandée à ffprobe', { error: redactProxy(e.message, config.proxy) });
+  }
+
+  const duration = await ffprobeDuration(config);
+  return { duration, live: duration === null && type !== null, source: 'ffprobe' };
+}
+
+// Champs de progression d'un bloc "-progress" de ffmpeg (out_time_us, total_size, bitrate, speed)
+function ffmpegProgressFields(block, context) {
+  const outTime = Number(block.out_time_us) / 1e6;
+  const bytes = Number(block.total_size);
+  if (!(outTime >= 0) && !(bytes >= 0)) return null;
+
+  // Débit réseau : octets écrits depuis le bloc précédent
+  const now = Date.now();
+  const previous = context.lastProgress;
+  context.lastProgress = { time: now, bytes };
+  const elapsed = previous ? (now - previous.time) / 1000 : 0;
+
+  const bitrate = /^([\d.]+)\s*kbits\/s$/.exec(block.bitrate || "");
+  const fields = {
+    bytes: bytes >= 0 ? bytes : undefined,
+    bytesPerSecond: elapsed > 0 && bytes >= previous.bytes ? Math.round((bytes - previous.bytes) / elapsed) : undefined,
+    bitrate: bitrate ? Math.round(parseFloat(bitrate[1]) * 1000) : undefined
+  };
+  if (!(outTime >= 0)) return fields;
+
+  fields.position = Math.round(outTime * 1000) / 1000;
+  if (!context.live && context.duration > 0) {
+    const ratio = Math.min(1, outTime / context.duration);
+    const speedFactor = parseFloat(block.speed); // "1.5x" : vitesse par rapport au temps réel
+    fields.progress = Math.min(99, Math.floor(ratio * 100));
+    if (ratio >= 0.01 && bytes > 0) Object.assign(fields, { totalBytes: Math.round(bytes / ratio), totalEstimated: true });
+    fields.eta = speedFactor > 0 ? Math.round((context.duration - outTime) / speedFactor) : null;
+  }
+  return fields;
+}
+
+// ================= FORMATS =================
+// Formats proposés par yt-dlp (-J) : /download accepte ensuite un format_id ou une
+// expression de sélection ("137+140", "bestvideo[height<=720]+bestaudio") et un conteneur.
+const YTDLP_DEFAULT_FORMAT = "bestvideo+bestaudio/best";
+const YTDLP_CONTAINERS = ['mp4', 'mkv', 'webm', 'mov'];
+const YTDLP_PROBE_TIMEOUT = 60000;
+// Sélecteur : format_id ou best/bestvideo…, filtres [champ<op>valeur], combinés par + / ,
+const FORMAT_FILTER = String.raw`\[[a-z_]+(?:!?(?:<=?|>=?|[\^$*~]?=)\??[\w.\-]+)?\]`;
+const FORMAT_ATOM = String.raw`[\w.\-]+\*?(?:${FORMAT_FILTER})*|(?:${FORMAT_FILTER})+`;
+const FORMAT_SELECTOR_PATTERN = new RegExp(`^(?=.{1,200}$)(?:${FORMAT_ATOM})(?:[+/,](?:${FORMAT_ATOM}))*$`);
+
+// Options d'accès (cookies, en-têtes, proxy) communes aux téléchargements et aux sondes yt-dlp
+function ytdlpRequestArgs(config) {
+  const args = [];
+  if (config.cookies) args.push("--add-header", `Cookie: ${config.cookies}`);
+  if (config.cookiesFile) args.push("--cookies", config.cookiesFile);
+  if (config.referer) args.push("--referer", config.referer);
+  extraHeaders(config).forEach(header => args.push("--add-header", header));
+  if (config.noCheckCert) args.push("--no-check-certificate");
+  if (config.proxy) args.push("--proxy", config.proxy);
+  return args;
+}
+
+// Sortie JSON de yt-dlp (--dump-single-json) pour une vidéo ou une playlist
+function ytdlpJson(config, args) {
+  return new Promise((resolve, reject) => {
+    const proc = spawn("yt-dlp", ["--dump-single-json", "--no-warnings", ...args, ...ytdlpRequestArgs(config), config.url]);
+    let stdout = "";
+    let stderr = "";
+    let timedOut = false;
+
+    const timeout = setTimeout(() => {
+      timedOut = true;
+      proc.kill("SIGTERM");
+    }, YTDLP_PROBE_TIMEOUT);
+
+    proc.stdout.on("data", d => { stdout += d; });
+    proc.stderr.on("data", d => { stderr = (stderr + d).slice(-2000); });
+
+    proc.on("error", err => {
+      clearTimeout(timeout);
+      reject(err);
+    });
+    proc.on("close", code => {
+      clearTimeout(timeout);
+      if (timedOut) return reject(new Error(`Analyse interrompue après ${YTDLP_PROBE_TIMEOUT / 1000}s`));
+      if (code !== 0) {
+        const lastLine = stderr.trim().split("\n").pop();
+        return reject(new Error(lastLine ? lastLine.substring(0, 200) : `yt-dlp a échoué (code ${code})`));
+      }
+      try {
+        resolve(JSON.parse(stdout));
+      } catch {
+        reject(new Error("Réponse de yt-dlp illisible"));
+      }
+    });
+  });
+}
+
+// Format yt-dlp réduit aux champs utiles au choix, avec un libellé lisible
+function describeFormat(format) {
+  const vcodec = format.vcodec && format.vcodec !== 'none' ? format.vcodec : null;
+  const acodec = format.acodec && format.acodec !== 'none' ? format.acodec : null;
+  const type = vcodec && acodec ? 'video+audio' : vcodec ? 'video' : acodec ? 'audio' : 'unknown';
+  const filesize = format.filesize || format.filesize_approx || null;
+
+  return {
+    id: format.format_id,
+    type,
+    ext: format.ext || null,
+    width: format.width || null,
+    height: format.height || null,
+    fps: format.fps || null,
+    vcodec,
+    acodec,
+    tbr: format.tbr || null,
+    filesize,
+    protocol: format.protocol || null,
+    note: format.format_note || null,
+    label: [
+      format.format_id,
+      format.ext,
+      format.height ? `${format.height}p${format.fps > 30 ? Math.round(format.fps) : ''}` : (type === 'audio' ? 'audio' : null),
+      type === 'video' ? 'vidéo seule' : null,
+      [vcodec, acodec].filter(Boolean).join('/'),
+      filesize ? formatSize(filesize) : null
+    ].filter(Boolean).join(' · ')
+  };
+}
+
+app.get("/probe", async (req, res) => {
+  const { url, referer } = req.query;
+  if (!url || !isAllowedProtocol(url)) {
+    return res.status(400).json({ error: "URL invalide (http/https uniquement)" });
+  }
+  if (!isDomainAllowed(url)) {
+    return res.status(403).json({ error: `Domaine non autorisé: ${new URL(url).hostname}` });
+  }
+
+  const config = applyDomainProfile({ url, referer });
+  try {
+    const info = await ytdlpJson(config, ["--no-playlist"]);
+    res.json({
+      url,
+      title: info.title || null,
+      duration: info.duration || null,
+      thumbnail: info.thumbnail || null,
+      extractor: info.extractor_key || info.extractor || null,
+      live: !!info.is_live,
+      formats: (info.formats || []).map(describeFormat).reverse(), // yt-dlp les liste du pire au meilleur
+      defaultFormat: YTDLP_DEFAULT_FORMAT,
+      containers: YTDLP_CONTAINERS,
+      subtitles: describeSubtitleTracks(info.subtitles),
+      automaticCaptions: describeSubtitleTracks(info.automatic_captions)
+    });
+  } catch (e) {
+    const error = redactProxy(e.message, config.proxy);
+    log('WARN', 'Analyse yt-dlp impossible', { url: url.substring(0, 100), error });
+    res.status(502).json({ error: `Analyse des formats impossible: ${error}` });
+  }
+});
+
+// ================= SUBTITLES =================
+// yt-dlp récupère lui-même les sous-titres (--write-subs), ffmpeg lit les renditions HLS
+// (EXT-X-MEDIA TYPE=SUBTITLES) choisies à l'ajout du job. Ils sont convertis en SRT ou VTT et
+// écrits à côté de la vidéo (<fichier>.<langue>.srt), ou intégrés au conteneur.
+const SUBTITLE_FORMATS = ['srt', 'vtt'];
+const SUBTITLE_LANGUAGE_PATTERN = /^[A-Za-z0-9._*-]{1,35}$/;
+
+// Langues demandées ("fr,en", ["fr", "en"] ou "all") : liste, vide si absente, null si invalide
+function parseSubtitleLanguages(value) {
+  if (value === undefined || value === null || value === "") return [];
+  const languages = (Array.isArray(value) ? value : String(value).split(","))
+    .map(language => String(language).trim())
+    .filter(Boolean);
+  return languages.every(language => SUBTITLE_LANGUAGE_PATTERN.test(language)) ? languages : null;
+}
+
+// Pistes d'une vidéo yt-dlp ({ fr: [{ ext, name }, …] }) réduites à la langue et aux formats proposés
+function describeSubtitleTracks(tracks) {
+  return Object.entries(tracks || {}).map(([language, formats]) => ({
+    language,
+    name: formats.find(format => format.name)?.name || null,
+    formats: [...new Set(formats.map(format => format.ext).filter(Boolean))]
+  }));
+}
+
+function ytdlpSubtitleArgs(subtitles) {
+  if (!subtitles) return [];
+  return [
+    "--write-subs",
+    ...(subtitles.auto ? ["--write-auto-subs"] : []),
+    "--sub-langs", subtitles.languages.join(","),
+    "--convert-subs", subtitles.format,
+    ...(subtitles.embed ? ["--embed-subs"] : [])
+  ];
+}
+
+// "fr" retient aussi "fr-CA" ; "all" retient toutes les pistes
+function subtitleLanguageMatches(track, language) {
+  if (language === "all") return true;
+  const wanted = language.toLowerCase();
+  const actual = (track.language || "").toLowerCase();
+  return actual === wanted || actual.startsWith(`${wanted}-`) || (track.name || "").toLowerCase() === wanted;
+}
+
+// Renditions de sous-titres HLS des langues demandées, dans le groupe de la variante s'il est déclaré
+function selectHlsSubtitles(playlist, variant, languages) {
+  return playlist.media
+    .filter(media => media.type === "SUBTITLES" && media.url)
+    .filter(track => !variant.subtitles || track.groupId === variant.subtitles)
+    .filter(track => languages.some(language => subtitleLanguageMatches(track, language)));
+}
+
+// Fichiers <vidéo>.<langue>.<format> des sous-titres séparés (suffixe si une langue revient)
+function subtitleSidecarPaths(outputPath, tracks, format) {
+  const base = outputPath.replace(/\.[^./\\]+$/, "");
+  const used = new Set();
+  return tracks.map((track, index) => {
+    let tag = sanitizeFilename(track.language || `piste${index + 1}`);
+    if (used.has(tag)) tag = `${tag}-${index + 1}`;
+    used.add(tag);
+    return `${base}.${tag}.${format}`;
+  });
+}
+
+// Sous-titres séparés d'un job terminé, chemins relatifs à downloadsDir comme record.file
+async function findSubtitleFiles(filename, owner) {
+  try {
+    const entries = await fs.readdir(ownerDir(owner));
+    return entries
+      .filter(entry => entry.startsWith(`${filename}.`) && SUBTITLE_FORMATS.some(format => entry.endsWith(`.${format}`)))
+      .sort()
+      .map(entry => owner ? path.join(ownerFolder(owner), entry) : entry);
+  } catch {
+    return [];
+  }
+}
+
+// ================= ENGINES =================
+// Un moteur de téléchargement est un objet :
+//   name                      identifiant (champ engine de /download et des profils de domaine)
+//   detect(config)            true si le moteur prend l'URL en charge par défaut (optionnel)
+//   outputFile(filename, job) nom du fichier produit, selon { container } du job (optionnel, défaut : filename)
+//   prepare(context)          étape asynchrone avant buildCommand (sonde…), optionnelle
+//   buildCommand(context)     { command, args } d'un moteur à processus, ou
+//   run(context)              démarrage autonome (RPC…) qui appelle context.onProgress / context.onExit
+//   progressStream            flux lu par parseProgress : "stdout" (défaut) ou "stderr"
+//   parseProgress(chunk, ctx) champs numériques de EMPTY_PROGRESS (progress, bytes, totalBytes,
+//                             bytesPerSecond, eta…) extraits d'un fragment de sortie, ou null
+//   classifyError(code, out)  { retry, message } (optionnel, défaut : classifyEngineError)
+//   throttle                  true si le débit est bridé par SIGSTOP/SIGCONT (pas d'option native)
+//   socksProxy                true si le moteur accepte un proxy SOCKS
+// Les moteurs de ENGINE_PLUGINS_DIR sont consultés avant les moteurs intégrés.
+const ENGINE_REGISTRY = new Map();
+const ENGINE_NAME_PATTERN = /^[a-z0-9_-]{2,32}$/;
+
+// Règle de retry commune : erreurs réseau transitoires, codes aria2 3 (ressource introuvable) / 7
+function classifyEngineError(code, output) {
+  const retry = output.includes("503") ||
+    output.includes("Connection") ||
+    output.includes("timeout") ||
+    output.includes("SSL") ||
+    code === 3 || code === 7;
+
+  const errorLines = output.split("\n").filter(l =>
+    l.toLowerCase().includes("error") || l.toLowerCase().includes("failed")
+  );
+  return {
+    retry,
+    message: errorLines.length > 0 ? errorLines[0].substring(0, 200) : `Échec (code ${code})`
+  };
+}
+
+const YTDLP_ENGINE = {
+  name: 'yt-dlp',
+  socksProxy: true,
+  detect: config => !!config.forceVideo || !!config.format || isVideoPlatform(config.url),
+  outputFile: (filename, { container } = {}) => `${filename}.${container || 'mp4'}`,
+
+  buildCommand({ config, outputPath, speedLimit }) {
+    const args = [
+      "--newline",
+      "--no-playlist",
+      "--continue", // Reprise du fichier .part après une pause
+      "--format", config.format || YTDLP_DEFAULT_FORMAT,
+      "--merge-output-format", config.container || "mp4",
+      "--extractor-args", "youtube:player_client=default,android,ios,tv",
+      ...ytdlpSubtitleArgs(config.subtitles),
+      "--output", outputPath,
+      ...ytdlpRequestArgs(config),
+      config.url
+    ];
+
+    if (speedLimit > 0) args.push("--limit-rate", String(speedLimit));
+    return { command: "yt-dlp", args };
+  },
+
+  // "[download]  42.0% of ~ 1.20GiB at 2.50MiB/s ETA 03:12" ; un format séparé audio/vidéo
+  // est suivi flux par flux
+  parseProgress(chunk) {
+    const progress = chunk.match(/(\d+\.?\d*)%/);
+    const size = chunk.match(/of\s+(~)?\s*([0-9.]+\s*[KMGT]?i?B)\b/);
+    const speed = chunk.match(/at\s+([0-9.]+\s*[KMGT]?i?B)\/s/);
+    const eta = chunk.match(/ETA\s+([0-9:]+)/);
+
+    if (!progress && !size) return null;
+    const percent = progress ? parseFloat(progress[1]) : null;
+    const totalBytes = size ? parseSize(size[2]) : null;
+    return {
+      totalBytes: totalBytes ?? undefined,
+      totalEstimated: size ? !!size[1] : undefined,
+      bytes: totalBytes !== null && percent !== null ? Math.round(totalBytes * percent / 100) : undefined,
+      progress: percent !== null ? Math.min(100, Math.floor(percent)) : undefined,
+      bytesPerSecond: progress && speed ? parseSize(speed[1]) : undefined,
+      eta: progress && eta ? parseClock(eta[1]) : undefined
+    };
+  }
+};
+
+const FFMPEG_ENGINE = {
+  name: 'ffmpeg',
+  throttle: true,
+  progressStream: 'stdout', // -progress pipe:1
+  detect: config => manifestType(config) !== null,
+  outputFile: filename => `${filename}.mp4`,
+
+  async prepare(context) {
+    const { duration, live, source } = await probeStreamDuration(context.config);
+    Object.assign(context, { duration, live });
+    context.download.info.live = live;
+
+    if (live) log('INFO', `Flux en direct, durée inconnue: ${context.config.filename}`);
+    else if (duration) log('INFO', `Durée du flux: ${formatEta(duration)} (${source})`);
+    else log('WARN', `Durée du flux inconnue, progression indisponible: ${context.config.filename}`);
+  },
+
+  buildCommand({ config, outputPath }) {
+    const headers = streamHeaders(config).map(header => `${header}\r\n`).join("");
+    // Variante HLS choisie à l'ajout du job, avec sa piste audio si elle est séparée
+    const media = config.hls ? [config.hls.url, config.hls.audioUrl].filter(Boolean) : [config.url];
+    // Renditions de sous-titres HLS (WebVTT) : entrées supplémentaires, intégrées ou écrites à part
+    const subtitleTracks = config.hls?.subtitles || [];
+    const subtitleInputs = subtitleTracks.map((track, index) => media.length + index);
+    const embedSubtitles = !!config.subtitles?.embed;
+    const subtitleFormat = config.subtitles?.format || 'srt';
+
+    // ffmpeg ne sait pas reprendre un flux : après une pause on repart de zéro
+    const args = [
+      "-y",
+      "-nostats",
+      "-progress", "pipe:1",
+      ...[...media, ...subtitleTracks.map(track => track.url)].flatMap(input => [
+        "-headers", headers,
+        ...(config.proxy ? ["-http_proxy", config.proxy] : []),
+        "-i", input
+      ]),
+      ...(media.length > 1 ? ["-map", "0:v", "-map", "1:a"] : subtitleTracks.length > 0 ? ["-map", "0:v?", "-map", "0:a?"] : []),
+      // Représentations DASH choisies à l'ajout du job
+      ...(config.dash ? [config.dash.videoId, config.dash.audioId].filter(Boolean).flatMap(id => ["-map", `0:m:id:${id}`]) : []),
+      ...(embedSubtitles ? subtitleInputs.flatMap(input => ["-map", `${input}:s`]) : []),
+      "-c", "copy",
+      ...(embedSubtitles && subtitleTracks.length > 0 ? [
+        "-c:s", "mov_text",
+        ...subtitleTracks.flatMap((track, index) => track.language ? [`-metadata:s:s:${index}`, `language=${track.language}`] : [])
+      ] : []),
+      "-bsf:a", "aac_adtstoasc",
+      outputPath,
+      // Une sortie par piste de sous-titres séparée, convertie en SRT ou WebVTT
+      ...(embedSubtitles ? [] : subtitleSidecarPaths(outputPath, subtitleTracks, subtitleFormat).flatMap((file, index) => [
+        "-map", `${subtitleInputs[index]}:s`, "-c:s", subtitleFormat === 'vtt' ? 'webvtt' : 'srt', file
+      ]))
+    ];
+    return { command: "ffmpeg", args };
+  },
+
+  // Blocs "clé=valeur" de -progress, chacun terminé par progress=continue (ou end)
+  parseProgress(chunk, context) {
+    const lines = ((context.progressBuffer || "") + chunk).split("\n");
+    context.progressBuffer = lines.pop();
+    if (!context.progressBlock) context.progressBlock = {};
+
+    let fields = null;
+    lines.forEach(line => {
+      const separator = line.indexOf("=");
+      if (separator === -1) return;
+      const key = line.slice(0, separator).trim();
+      const value = line.slice(separator + 1).trim();
+
+      if (key === "progress") {
+        fields = ffmpegProgressFields(context.progressBlock, context) || fields;
+        context.progressBlock = {};
+      } else {
+        context.progressBlock[key] = value;
+      }
+    });
+    return fields;
+  }
+};
+
+// aria2 tourne en démon : le job est confié par RPC et la progression relevée par pollAria2()
+const ARIA2_ENGINE = {
+  name: 'aria2',
+  detect: () => true, // Téléchargements directs : moteur par défaut
+
+  run({ id, download, config, isRetry, speedLimit }) {
+    const segments = (isVideoPlatform(config.url) || isRetry || config.singleSegment) ? "1" : String(config.segments || 16);
+    const options = {
+      "out": config.filename,
+      "user-agent": defaultUA(config.ua),
+      "max-tries": "5",
+      "retry-wait": "3",
+      "continue": "true", // Reprise via le fichier de contrôle .aria2
+      "max-connection-per-server": segments,
+      "split": segments
+    };
+
+    if (config.referer) options.referer = config.referer;
+    const headers = [...(config.cookies ? [`Cookie: ${config.cookies}`] : []), ...extraHeaders(config)];
+    if (headers.length > 0) options.header = headers;
+    if (config.cookiesFile) options["load-cookies"] = config.cookiesFile;
+    if (config.proxy) options["all-proxy"] = config.proxy;
+    if (config.noCheckCert) options["check-certificate"] = "false";
+    options["max-download-limit"] = String(speedLimit);
+
+    addAria2Download(id, download, options);
+  },
+
+  // Réponse de aria2.tellStatus
+  parseProgress(status) {
+    const totalBytes = Number(status.totalLength);
+    const doneBytes = Number(status.completedLength);
+    const bytesPerSec = Number(status.downloadSpeed);
+
+    return {
+      bytes: doneBytes,
+      totalBytes: totalBytes > 0 ? totalBytes : null, // 0 pour une réponse chunked
+      progress: totalBytes > 0 ? Math.floor(doneBytes * 100 / totalBytes) : 0,
+      bytesPerSecond: bytesPerSec,
+      eta: bytesPerSec > 0 && totalBytes > 0 ? Math.round((totalBytes - doneBytes) / bytesPerSec) : null
+    };
+  }
+};
+
+// Message d'erreur si la définition de moteur est invalide, null sinon
+function validateEngine(engine) {
+  if (!engine || typeof engine !== 'object') return "module sans moteur exporté";
+  if (!ENGINE_NAME_PATTERN.test(engine.name || "")) return "nom invalide (2 à 32 caractères: a-z, 0-9, _ et -)";
+  if (typeof engine.buildCommand !== 'function' && typeof engine.run !== 'function') return "buildCommand ou run requis";
+  const hooks = ['detect', 'outputFile', 'prepare', 'parseProgress', 'classifyError'];
+  const invalid = hooks.filter(hook => engine[hook] !== undefined && typeof engine[hook] !== 'function');
+  return invalid.length > 0 ? `${invalid.join(', ')} doit être une fonction` : null;
+}
 
-app.post("/api/capture", async (req, res) => {
-  const { url, type, tabId } = req.body || {};
+// Plugins (module.exports = moteur ou liste de moteurs) puis moteurs intégrés, aria2 en dernier recours
+function loadEngines() {
+  const builtins = [YTDLP_ENGINE, FFMPEG_ENGINE, ARIA2_ENGINE];
+  const plugins = [];
+  let files = [];
 
-  if (!url) {
-    return res.status(400).json({ error: "URL manquante" });
+  try {
+    files = fsSync.readdirSync(ENGINE_PLUGINS_DIR).filter(file => file.endsWith(".js")).sort();
+  } catch (e) {
+    if (e.code !== 'ENOENT') log('ERROR', 'Erreur lecture du dossier des moteurs', { error: e.message });
   }
 
-  // Validation protocole & domaine
-  if (!isAllowedProtocol(url) || !isDomainAllowed(url)) {
-    return res.status(403).json({ error: "URL non autorisée" });
-  }
+  files.forEach(file => {
+    try {
+      const exported = require(path.join(ENGINE_PLUGINS_DIR, file));
+      [].concat(exported).forEach(engine => {
+        const invalid = validateEngine(engine);
+        if (invalid) throw new Error(invalid);
+        if (builtins.some(builtin => builtin.name === engine.name) || plugins.some(plugin => plugin.name === engine.name)) {
+          throw new Error(`moteur "${engine.name}" déjà défini`);
+        }
+        plugins.push(engine);
+      });
+    } catch (e) {
+      log('WARN', `Plugin de moteur ignoré: ${file}`, { error: e.message });
+    }
+  });
+
+  ENGINE_REGISTRY.clear();
+  [...plugins, ...builtins].forEach(engine => ENGINE_REGISTRY.set(engine.name, engine));
+  log('INFO', `Moteurs disponibles: ${Array.from(ENGINE_REGISTRY.keys()).join(', ')}`, { plugins: plugins.length });
+}
 
-  log('INFO', 'Flux capturé depuis extension', { type, url: url.substring(0, 120), tabId });
+// Applique au job les champs renvoyés par parseProgress : limite de taille, bridage, puis affichage
+function applyEngineProgress(id, fields, proc = null) {
+  const download = activeDownloads.get(id);
+  if (!fields || !download || download.info.status !== 'downloading') return;
 
-  // Heuristique :
-  // - mp4 direct → aria2
-  // - m3u8 / mpd → ffmpeg
-  // - plateformes vidéo → yt-dlp
+  if (enforceMaxFileSize(id, Math.max(fields.bytes || 0, fields.totalBytes || 0))) return;
+  if (proc && fields.bytes) throttleProcess(download, proc, fields.bytes);
 
-  const isStream = /\.(m3u8|mpd)(\?|$)/i.test(url);
-  const isVideo = isVideoPlatform(url);
-
-  // Délégation vers la route /download existante
-  try {
-    const resp = await fetch(`http://localhost:${PORT}/download`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        url,
-        ua: defaultUA(),
-        singleSegment: isStream,
-      })
-    });
+  const updated = PROGRESS_FIELDS.filter(field => fields[field] !== undefined);
+  if (updated.length === 0) return;
 
-    const data = await resp.json();
-    res.json({ ok: true, delegated: true, data });
-  } catch (e) {
-    log('ERROR', 'Échec délégation capture → download', { error: e.message });
-    res.status(500).json({ error: 'Échec traitement capture' });
-  }
-});
+  updated.forEach(field => { download.info[field] = fields[field]; });
+  broadcast({ type: "update", download: download.info });
+}
 
 // ================= DOWNLOAD LOGIC =================
 function startDownload(id) {
   const download = activeDownloads.get(id);
-  if (!download) return;
+  // Job mis en pause, annulé ou reprogrammé entre-temps
+  if (!download || !['queued', 'retrying'].includes(download.info.status)) return;
 
-  const { url, filename, ua, referer, cookies, noCheckCert, singleSegment, forceVideo } = download.config;
+  const { url, filename } = download.config;
   let { retryCount } = download;
-  const isVideo = !!forceVideo || isVideoPlatform(url);
+  const engine = ENGINE_REGISTRY.get(getEngine(download.config));
 
   download.info.status = 'downloading';
+  download.info.engine = engine.name;
   download.info.startedAt = new Date().toISOString();
+  download.speedLimit = getEffectiveSpeedLimit(download);
+  download.throttle = null;
   broadcast({ type: "status-change", download: download.info });
 
   log('INFO', `Démarrage téléchargement: ${filename} (Retry: ${retryCount})`, {
     url: url.substring(0, 100),
-    type: isVideo ? 'video' : url.match(/\.(m3u8|mpd)/i) ? 'stream' : 'direct'
+    engine: engine.name,
+    profile: download.config.profile || null
   });
 
-  let proc;
-  let lastError = "";
+  // Timeout de sécurité
+  download.timeout = setTimeout(() => {
+    log('WARN', `Timeout atteint pour: ${filename}`);
+    if (download.gid) {
+      aria2Rpc('aria2.remove', download.gid).catch(() => {});
+      handleDownloadExit(id, null, `Error: Timeout atteint (${DOWNLOAD_TIMEOUT}s)`);
+    } else if (download.process) {
+      download.process.kill("SIGTERM");
+    }
+  }, DOWNLOAD_TIMEOUT * 1000);
+
   const isRetry = retryCount > 0;
+  const outputDir = ownerDir(download.info.owner);
+  const context = {
+    id,
+    download,
+    config: download.config,
+    isRetry,
+    speedLimit: download.speedLimit,
+    outputDir,
+    outputPath: path.join(outputDir, engine.outputFile ? engine.outputFile(filename, download.info) : filename),
+    onProgress: fields => applyEngineProgress(id, fields),
+    onExit: (code, output = "") => handleDownloadExit(id, code, output)
+  };
 
-  if (isVideo) {
-    // YT-DLP pour plateformes vidéo
-    log('INFO', `Utilisation de yt-dlp${isRetry ? ' (retry ' + retryCount + ')' : ''}`);
+  log('INFO', `Utilisation de ${engine.name}${isRetry ? ' (retry ' + retryCount + ')' : ''}`);
+  download.context = context;
 
-    const ytArgs = [
-      "--newline",
-      "--no-playlist",
-      "--format", "bestvideo+bestaudio/best",
-      "--merge-output-format", "mp4",
-      "--extractor-args", "youtube:player_client=default,android,ios,tv",
-      "--output", path.join(downloadsDir, `${filename}.mp4`),
-      url
-    ];
+  // Moteur autonome (aria2 RPC) : il rapporte lui-même progression et fin
+  if (engine.run) {
+    try {
+      engine.run(context);
+    } catch (e) {
+      log('ERROR', `Erreur moteur ${engine.name}: ${filename}`, { error: e.message });
+      handleDownloadExit(id, -1, `Error: ${e.message}`);
+      return;
+    }
+    applyBandwidthLimits();
+    return;
+  }
 
-    if (cookies) ytArgs.push("--add-header", `Cookie: ${cookies}`);
-    if (noCheckCert) ytArgs.push("--no-check-certificate");
+  if (!engine.prepare) {
+    spawnEngineProcess(engine, context);
+    return;
+  }
 
-    proc = spawn("yt-dlp", ytArgs);
+  // Préparation asynchrone (sonde de durée…) : le processus n'est lancé que si le job n'a été
+  // ni mis en pause ni relancé entre-temps
+  Promise.resolve()
+    .then(() => engine.prepare(context))
+    .catch(e => log('WARN', `Préparation ${engine.name} échouée: ${filename}`, { error: redactProxy(e.message, context.config.proxy) }))
+    .then(() => {
+      if (activeDownloads.get(id) === download && download.context === context && download.info.status === 'downloading') {
+        spawnEngineProcess(engine, context);
+      }
+    });
+}
 
-    proc.stdout.on("data", d => {
-      const line = d.toString();
+// Lance le processus d'un moteur et relaie sa progression, ses erreurs et sa fin
+function spawnEngineProcess(engine, context) {
+  const { id, download } = context;
+  const { filename } = download.config;
 
-      const progress = line.match(/(\d+\.?\d*)%/);
-      const size = line.match(/of\s+(~?[0-9.]+[KMGTiB]+)/);
-      const speed = line.match(/at\s+([0-9.]+[KMGTiB]+\/s)/);
-      const eta = line.match(/ETA\s+([0-9:]+)/);
+  let lastError = "";
+  let proc;
+  try {
+    const { command, args } = engine.buildCommand(context);
+    proc = spawn(command, args);
+  } catch (e) {
+    log('ERROR', `Erreur moteur ${engine.name}: ${filename}`, { error: e.message });
+    handleDownloadExit(id, -1, `Error: ${e.message}`);
+    return;
+  }
 
-      if (progress) {
-        download.info.progress = Math.min(100, Math.floor(parseFloat(progress[1])));
-        if (size) download.info.fullSize = size[1];
-        if (speed) download.info.speed = speed[1];
-        if (eta) download.info.eta = eta[1];
+  if (engine.throttle) {
+    download.throttle = { limit: download.speedLimit, windowStart: null, windowBytes: 0, suspended: false };
+  }
 
-        broadcast({ type: "update", download: download.info });
+  const progressStream = engine.progressStream || 'stdout';
+  ['stdout', 'stderr'].forEach(stream => {
+    proc[stream].on("data", d => {
+      const chunk = d.toString();
+      if (stream === progressStream && engine.parseProgress) {
+        applyEngineProgress(id, engine.parseProgress(chunk, context), proc);
       }
+      if (stream === 'stderr') lastError += chunk;
     });
+  });
 
-    proc.stderr.on("data", d => {
-      lastError += d.toString();
-    });
+  // Update process ref
+  download.process = proc;
+  applyBandwidthLimits();
 
-  } else if (url.match(/\.(m3u8|mpd)/i)) {
-    // FFMPEG pour streams
-    log('INFO', `Utilisation de ffmpeg${isRetry ? ' (retry ' + retryCount + ')' : ''}`);
+  proc.on("close", code => {
+    // Un nouveau processus a pris le relais (reprise rapide après une pause)
+    if (download.process && download.process !== proc) return;
+    handleDownloadExit(id, code, lastError);
+  });
 
-    const ffmpegArgs = [
-      "-headers", `User-Agent: ${defaultUA(ua)}\r\n`,
-      "-i", url,
-      "-c", "copy",
-      "-bsf:a", "aac_adtstoasc",
-      path.join(downloadsDir, `${filename}.mp4`)
-    ];
+  proc.on("error", err => {
+    log('ERROR', `Erreur processus: ${filename}`, { error: err.message });
+    clearTimeout(download.timeout);
+    download.info.status = "error";
+    download.info.error = err.message;
+    broadcast({ type: "status-change", download: download.info });
+    activeDownloads.delete(id);
+    processQueue();
+  });
+}
 
-    proc = spawn("ffmpeg", ffmpegArgs);
+// Fin d'un téléchargement (processus terminé ou GID aria2 achevé) : succès, retry ou échec
+function handleDownloadExit(id, code, lastError) {
+  const download = activeDownloads.get(id);
+  if (!download) return;
 
-    proc.stderr.on("data", d => {
-      const line = d.toString();
-      const timeMatch = line.match(/time=(\d+):(\d+):(\d+)/);
+  const { filename } = download.config;
+  clearTimeout(download.timeout);
+  download.process = null;
+  lastError = redactProxy(lastError, download.config.proxy); // Les moteurs peuvent citer l'URL du proxy
 
-      if (timeMatch) {
-        const hours = parseInt(timeMatch[1]);
-        const minutes = parseInt(timeMatch[2]);
-        const seconds = parseInt(timeMatch[3]);
-        const totalSeconds = hours * 3600 + minutes * 60 + seconds;
+  // Processus arrêté volontairement (pause / annulation) : ne pas traiter comme un échec
+  if (download.info.status === 'paused' || download.info.status === 'cancelled') {
+    log('INFO', `Processus arrêté (${download.info.status}): ${filename}`, { code });
+    return;
+  }
 
-        download.info.eta = `${totalSeconds}s encodées`;
-        download.info.progress = Math.min(99, Math.floor(totalSeconds / 10));
-        broadcast({ type: "update", download: download.info });
-      }
+  // Libérer le GID aria2 : un retry repartira d'un nouvel addUri
+  if (download.gid) {
+    aria2Rpc('aria2.removeDownloadResult', download.gid).catch(() => {});
+    download.gid = null;
+  }
 
-      lastError += line;
-    });
+  if (code === 0) {
+    download.info.progress = 100;
+    download.info.completedAt = new Date().toISOString();
+    verifyDownload(id); // Passe en "verifying" puis "completed" ou "verification-failed"
+    processQueue(); // Trigger next
+    return;
+  }
 
-  } else {
-    // ARIA2C pour téléchargements directs
-    log('INFO', `Utilisation d'aria2c${isRetry ? ' (retry ' + retryCount + ')' : ''}`);
+  // Vérifier si retry nécessaire (règle propre au moteur)
+  const engine = ENGINE_REGISTRY.get(download.info.engine);
+  const { retry, message } = (engine?.classifyError || classifyEngineError)(code, lastError);
+  const shouldRetry = download.retryCount < RETRY_ATTEMPTS && retry;
+
+  if (shouldRetry) {
+    download.retryCount++;
+    log('WARN', `Retry automatique ${download.retryCount}/${RETRY_ATTEMPTS} dans ${RETRY_DELAY / 1000}s: ${filename}`);
+    download.info.status = "retrying";
+    broadcast({ type: "update", download: download.info });
+
+    download.retryTimer = setTimeout(() => {
+      download.retryTimer = null;
+      startDownload(id);
+    }, RETRY_DELAY);
+    return;
+  }
 
-    const args = [
-      "--console-log-level=notice",
-      "--summary-interval=1",
-      "--dir", downloadsDir,
-      "--out", filename,
-      "--user-agent", defaultUA(ua),
-      "--max-tries", "5",
-      "--retry-wait", "3"
-    ];
+  download.info.status = "error";
+  download.info.error = message;
 
-    if (referer) args.push("--referer", referer);
+  log('ERROR', `Téléchargement échoué: ${filename}`, {
+    error: download.info.error,
+    code,
+    retries: download.retryCount
+  });
 
-    if (isVideo || isRetry || singleSegment) {
-      args.push("--max-connection-per-server=1", "--split=1");
-    } else {
-      args.push("--max-connection-per-server=16", "--split=16");
-    }
+  broadcast({ type: "status-change", download: download.info });
+  activeDownloads.delete(id);
+  processQueue(); // Slot (et éventuellement domaine) libéré
+}
 
-    if (cookies) args.push("--header", `Cookie: ${cookies}`);
-    if (noCheckCert) args.push("--check-certificate=false");
-    // if (MAX_FILE_SIZE) args.push("--max-download-limit", MAX_FILE_SIZE); // Option erronée: limite la vitesse, pas la taille
+// ================= PLAYLISTS =================
+// Une URL de playlist / chaîne est développée (yt-dlp --flat-playlist) en jobs enfants
+// regroupés dans un lot : chaque enfant porte { id, title, url, index, total, skipped } du lot,
+// la progression agrégée est recalculée à partir des enfants (historique compris).
+const BATCH_UPDATE_INTERVAL = 1000;
+const ITEM_RANGE_PATTERN = /^\d+(-\d+)?(,\d+(-\d+)?)*$/;
+const batchUpdateTimers = new Map();
+
+// "1-10,15" → prédicat sur l'index (base 1) d'une vidéo de la playlist, null si invalide
+function parseItemRange(spec) {
+  const compact = String(spec).replace(/\s+/g, "");
+  if (!ITEM_RANGE_PATTERN.test(compact)) return null;
+
+  const ranges = compact.split(",").map(part => {
+    const [start, end = start] = part.split("-").map(Number);
+    return { start, end };
+  });
+  if (ranges.some(({ start, end }) => start < 1 || end < start)) return null;
+  return index => ranges.some(({ start, end }) => index >= start && index <= end);
+}
 
-    args.push(url);
-    proc = spawn("aria2c", args);
+// Identifiant stable d'une vidéo (à la manière de --download-archive de yt-dlp)
+function playlistSourceId(entry) {
+  return entry.id ? `${(entry.ie_key || entry.extractor_key || "generic").toLowerCase()} ${entry.id}` : entry.url;
+}
 
-    proc.stdout.on("data", d => {
-      const line = d.toString();
+// Vidéo déjà téléchargée (fichier toujours présent) ou déjà en cours pour ce propriétaire
+function findExistingJob(sourceId, owner) {
+  const active = Array.from(activeDownloads.values())
+    .find(dl => dl.config?.sourceId === sourceId && (dl.info.owner || null) === owner);
+  if (active) return { reason: 'en cours', id: active.info.id };
 
-      // Parser aria2c output
-      const progressMatch = line.match(/\[#\d+\s+([^\s]+)\/([^\s]+)\((\d+)%\)\s+CN:(\d+)\s+DL:([^\s]+)\s+ETA:([^\]]+)\]/);
+  const done = Array.from(jobStore.values()).find(record =>
+    record.status === 'completed' && !record.purgedAt &&
+    (record.owner || null) === owner && record.config?.sourceId === sourceId);
+  return done ? { reason: 'déjà téléchargé', id: done.id } : null;
+}
 
-      if (progressMatch) {
-        download.info.currentSize = progressMatch[1];
-        download.info.fullSize = progressMatch[2];
-        download.info.progress = parseInt(progressMatch[3]);
-        download.info.speed = progressMatch[5] + "/s";
-        download.info.eta = progressMatch[6];
-        broadcast({ type: "update", download: download.info });
-      } else {
-        const simpleProgress = line.match(/\((\d+)%\)/);
-        if (simpleProgress) {
-          download.info.progress = parseInt(simpleProgress[1]);
-          broadcast({ type: "update", download: download.info });
-        }
-      }
-    });
+// Jobs d'un lot : historique puis état courant des jobs actifs
+function batchJobs(batchId) {
+  const jobs = new Map();
+  jobStore.forEach(record => {
+    if (record.batch?.id === batchId) jobs.set(record.id, record);
+  });
+  activeDownloads.forEach(download => {
+    if (download.info.batch?.id === batchId) jobs.set(download.info.id, download.info);
+  });
+  return Array.from(jobs.values()).sort((a, b) => a.batch.index - b.batch.index);
+}
 
-    proc.stderr.on("data", d => {
-      lastError += d.toString();
-    });
+function batchSummary(batchId) {
+  const jobs = batchJobs(batchId);
+  if (jobs.length === 0) return null;
+
+  const { title, url, total, skipped } = jobs[0].batch;
+  const counts = {};
+  jobs.forEach(job => { counts[job.status] = (counts[job.status] || 0) + 1; });
+  const progress = jobs.reduce((sum, job) => sum + (job.status === 'completed' ? 100 : job.progress || 0), 0) / jobs.length;
+
+  return {
+    id: batchId,
+    title,
+    url,
+    owner: jobs[0].owner || null,
+    playlistSize: total,
+    skipped: skipped || 0,
+    jobs: jobs.length,
+    counts,
+    progress: Math.floor(progress),
+    bytes: jobs.reduce((sum, job) => sum + (job.bytes || 0), 0),
+    bytesPerSecond: jobs.reduce((sum, job) => sum + (job.status === 'downloading' ? job.bytesPerSecond || 0 : 0), 0),
+    finished: jobs.every(job => TERMINAL_STATUSES.includes(job.status)),
+    queuedAt: jobs.reduce((first, job) => !first || job.queuedAt < first ? job.queuedAt : first, null)
+  };
+}
+
+// Regroupe les mises à jour des enfants : au plus un événement "batch" par seconde et par lot
+function scheduleBatchUpdate(batchId) {
+  if (batchUpdateTimers.has(batchId)) return;
+  batchUpdateTimers.set(batchId, setTimeout(() => {
+    batchUpdateTimers.delete(batchId);
+    const batch = batchSummary(batchId);
+    if (batch) broadcast({ type: "batch", batch });
+  }, BATCH_UPDATE_INTERVAL));
+}
+
+// Développe la playlist et crée un job par vidéo retenue (plage items, vidéos déjà présentes sautées)
+async function downloadPlaylist(req, res, { url, items, skipDownloaded, scheduledAt, category, postProcess, baseConfig }) {
+  const matchesRange = items ? parseItemRange(items) : () => true;
+  if (!matchesRange) {
+    return res.status(400).json({ error: "Plage d'éléments invalide (ex: 1-10,15)" });
   }
 
-  // Update process ref
-  download.process = proc;
+  const owner = requestOwner(req);
+  const quota = owner ? getUserQuota(owner) : 0;
+  if (quota > 0 && await dirSize(ownerDir(owner)) >= quota) {
+    return res.status(507).json({ error: `Quota dépassé (${formatSize(quota)})` });
+  }
 
-  // Timeout de sécurité
-  const timeout = setTimeout(() => {
-    if (proc) {
-      log('WARN', `Timeout atteint pour: ${filename}`);
-      proc.kill("SIGTERM");
-    }
-  }, DOWNLOAD_TIMEOUT * 1000);
+  const probeConfig = applyDomainProfile({ ...baseConfig, url });
+  let playlist;
+  try {
+    playlist = await ytdlpJson(probeConfig, ["--flat-playlist", "--yes-playlist"]);
+  } catch (e) {
+    const error = redactProxy(e.message, probeConfig.proxy);
+    log('WARN', 'Lecture de la playlist impossible', { url: url.substring(0, 100), error });
+    return res.status(502).json({ error: `Lecture de la playlist impossible: ${error}` });
+  }
 
-  proc.on("close", code => {
-    clearTimeout(timeout);
-
-    if (code === 0) {
-      download.info.status = "completed";
-      download.info.progress = 100;
-      download.info.completedAt = new Date().toISOString();
-      log('SUCCESS', `Téléchargement terminé: ${filename}`, {
-        size: download.info.fullSize
-      });
+  // Une URL de vidéo seule est traitée comme une playlist d'un élément
+  const entries = (playlist.entries || [playlist])
+    .map((entry, position) => ({ ...entry, index: entry.playlist_index || position + 1, url: entry.webpage_url || entry.url }))
+    .filter(entry => entry.url && isAllowedProtocol(entry.url) && matchesRange(entry.index));
 
-      activeDownloads.delete(id);
-      broadcast({ type: "status-change", download: download.info });
-      processQueue(); // Trigger next
-    } else {
-      // Vérifier si retry nécessaire
-      const shouldRetry = download.retryCount < RETRY_ATTEMPTS && (
-        lastError.includes("503") ||
-        lastError.includes("Connection") ||
-        lastError.includes("timeout") ||
-        lastError.includes("SSL") ||
-        code === 3 || code === 7
-      );
-
-      if (shouldRetry) {
-        download.retryCount++;
-        log('WARN', `Retry automatique ${download.retryCount}/${RETRY_ATTEMPTS} dans ${RETRY_DELAY / 1000}s: ${filename}`);
-        download.info.status = "retrying";
-        broadcast({ type: "update", download: download.info });
-
-        setTimeout(() => startDownload(id), RETRY_DELAY);
-        return;
-      }
+  if (entries.length === 0) {
+    return res.status(400).json({ error: "Aucune vidéo dans la plage demandée" });
+  }
+  if (entries.length > PLAYLIST_MAX_ITEMS) {
+    return res.status(400).json({
+      error: `${entries.length} vidéos, maximum ${PLAYLIST_MAX_ITEMS} par lot : précisez une plage (items, ex: 1-${PLAYLIST_MAX_ITEMS})`
+    });
+  }
 
-      download.info.status = "error";
-      const errorLines = lastError.split("\n").filter(l =>
-        l.toLowerCase().includes("error") || l.toLowerCase().includes("failed")
-      );
-      download.info.error = errorLines.length > 0
-        ? errorLines[0].substring(0, 200)
-        : `Échec (code ${code})`;
-
-      log('ERROR', `Téléchargement échoué: ${filename}`, {
-        error: download.info.error,
-        code,
-        retries: retryCount
-      });
+  const skipped = [];
+  const selected = entries.filter(entry => {
+    // Une playlist d'un domaine autorisé peut pointer vers d'autres hôtes
+    if (!isDomainAllowed(entry.url)) {
+      skipped.push({ index: entry.index, title: entry.title || null, reason: 'domaine non autorisé', id: null });
+      return false;
     }
+    const existing = skipDownloaded ? findExistingJob(playlistSourceId(entry), owner) : null;
+    if (existing) skipped.push({ index: entry.index, title: entry.title || null, reason: existing.reason, id: existing.id });
+    return !existing;
+  });
 
-    broadcast({ type: "status-change", download: download.info });
-    activeDownloads.delete(id);
+  await fs.mkdir(ownerDir(owner), { recursive: true });
+
+  const timestamp = Date.now();
+  const batch = {
+    id: uuidv4(),
+    title: playlist.title || url,
+    url,
+    total: (playlist.entries || [playlist]).length,
+    skipped: skipped.length
+  };
+  const pad = String(Math.max(...selected.map(entry => entry.index), 1)).length;
+
+  const jobs = selected.map(entry => {
+    const title = entry.title || entry.id || `video_${entry.index}`;
+    const downloadConfig = applyDomainProfile({
+      ...baseConfig,
+      url: entry.url,
+      filename: sanitizeFilename(`${timestamp}_${String(entry.index).padStart(pad, "0")}_${title}`),
+      originalFilename: title,
+      sourceId: playlistSourceId(entry)
+    });
+    downloadConfig.category = category || detectCategory(title, 'yt-dlp');
+    downloadConfig.postProcess = resolvePostProcess(postProcess, downloadConfig.category);
+
+    return createJob(downloadConfig, { owner, engine: 'yt-dlp', scheduledAt, batch: { ...batch, index: entry.index } });
   });
 
-  proc.on("error", err => {
-    log('ERROR', `Erreur processus: ${filename}`, { error: err.message });
-    download.info.status = "error";
-    download.info.error = err.message;
-    broadcast({ type: "status-change", download: download.info });
-    activeDownloads.delete(id);
-    processQueue();
+  processQueue();
+  log('INFO', `Playlist ajoutée: ${batch.title}`, { jobs: jobs.length, skipped: skipped.length, total: batch.total });
+  if (jobs.length > 0) scheduleBatchUpdate(batch.id);
+
+  res.json({
+    batchId: batch.id,
+    title: batch.title,
+    playlistSize: batch.total,
+    message: `${jobs.length} vidéo(s) ajoutée(s), ${skipped.length} ignorée(s)`,
+    jobs: jobs.map(info => ({ id: info.id, filename: info.filename, index: info.batch.index, status: info.status })),
+    skipped
   });
 }
 
+app.get("/batches", (req, res) => {
+  const batchIds = new Set();
+  jobStore.forEach(record => { if (record.batch) batchIds.add(record.batch.id); });
+  activeDownloads.forEach(download => { if (download.info.batch) batchIds.add(download.info.batch.id); });
+
+  const batches = Array.from(batchIds)
+    .map(batchSummary)
+    .filter(batch => batch && canAccess(req.auth, batch.owner))
+    .sort((a, b) => (b.queuedAt || "").localeCompare(a.queuedAt || ""));
+  res.json(batches);
+});
+
+app.get("/batches/:id", (req, res) => {
+  const batch = batchSummary(req.params.id);
+  if (!batch || !canAccess(req.auth, batch.owner)) {
+    return res.status(404).json({ error: "Lot introuvable" });
+  }
+  res.json({ ...batch, items: batchJobs(req.params.id).map(({ config, ...job }) => job) });
+});
+
 // ================= DOWNLOAD HANDLER =================
-app.post("/download", async (req, res) => {
-  const { url, referer, ua, noCheckCert, customFilename, singleSegment, cookies } = req.body;
+// Crée un job validé : file d'attente, ou démarrage programmé si scheduledAt
+function createJob(downloadConfig, { owner, engine, scheduledAt, batch = null }) {
+  const id = uuidv4();
+  const { url, filename, format, container } = downloadConfig;
+
+  const downloadInfo = {
+    id,
+    url,
+    filename,
+    engine,
+    owner,
+    priority: downloadConfig.priority,
+    container: container || null,
+    batch,
+    quality: (downloadConfig.hls || downloadConfig.dash)?.label || (format || container ? [format, container].filter(Boolean).join(' → ') : null),
+    speedLimit: downloadConfig.speedLimit,
+    category: downloadConfig.category,
+    postProcess: buildPipeline(downloadConfig.postProcess),
+    status: scheduledAt ? "scheduled" : "queued",
+    ...EMPTY_PROGRESS,
+    scheduledAt: scheduledAt ? scheduledAt.toISOString() : null,
+    queuedAt: new Date().toISOString(),
+    startedAt: null
+  };
+
+  log('INFO', `Nouveau téléchargement en file d'attente: ${filename}`, {
+    url: url.substring(0, 100),
+    type: batch ? 'playlist' : isVideoPlatform(url) ? 'video' : url.match(/\.(m3u8|mpd)/i) ? 'stream' : 'direct'
+  });
+
+  // Stocker le processus
+  activeDownloads.set(id, { info: downloadInfo, config: downloadConfig, process: null, retryCount: 0 });
+
+  if (scheduledAt) {
+    armScheduledStart(id);
+    log('INFO', `Démarrage programmé pour ${downloadInfo.scheduledAt}: ${filename}`);
+  } else {
+    enqueueDownload(id);
+  }
+
+  broadcast({ type: "update", download: downloadInfo });
+  return downloadInfo;
+}
+
+async function enqueueRoute(req, res) {
+  const { url, referer, ua, noCheckCert, customFilename, singleSegment, cookies, priority = 'normal', speedLimit, startAt, checksum, checksumUrl, postProcess, category, proxy, engine: requestedEngine, variant, audioTrack, maxHeight, format, container, playlist, items, skipDownloaded, subtitles, autoSubtitles, subtitleFormat = 'srt', embedSubtitles } = req.body;
 
   // Validation basique
   if (!url) {
     return res.status(400).json({ error: "URL manquante" });
   }
 
+  if (!(priority in PRIORITIES)) {
+    return res.status(400).json({ error: "Priorité invalide (low, normal, high)" });
+  }
+
+  const parsedSpeedLimit = parseSize(speedLimit);
+  if (isNaN(parsedSpeedLimit)) {
+    return res.status(400).json({ error: "Limite de débit invalide (ex: 500K, 2M)" });
+  }
+
+  const scheduledAt = parseStartAt(startAt);
+  if (scheduledAt && isNaN(scheduledAt)) {
+    return res.status(400).json({ error: "Date de démarrage invalide (ISO 8601, timestamp ou \"quiet\")" });
+  }
+
+  const expectedChecksum = checksum ? parseChecksum(checksum) : null;
+  if (checksum && !expectedChecksum) {
+    return res.status(400).json({ error: "Empreinte invalide (md5, sha1, sha256 ou sha512 en hexadécimal, ex: sha256:ab12…)" });
+  }
+
+  if (requestedEngine && !ENGINE_REGISTRY.has(requestedEngine)) {
+    return res.status(400).json({ error: `Moteur inconnu (moteurs: ${Array.from(ENGINE_REGISTRY.keys()).join(', ')})` });
+  }
+
+  const streamOptions = {
+    variant: parseOptionalIndex(variant),
+    audioTrack: parseOptionalIndex(audioTrack),
+    maxHeight: parseOptionalIndex(maxHeight) ?? HLS_MAX_HEIGHT
+  };
+  if (isNaN(streamOptions.variant) || isNaN(streamOptions.audioTrack)) {
+    return res.status(400).json({ error: "Variante ou piste audio invalide (index renvoyé par /probe/hls ou /probe/dash)" });
+  }
+  if (isNaN(streamOptions.maxHeight) || streamOptions.maxHeight > MAX_VIDEO_HEIGHT) {
+    return res.status(400).json({ error: "Hauteur maximale invalide (ex: 1080)" });
+  }
+
+  if (format && (typeof format !== 'string' || !FORMAT_SELECTOR_PATTERN.test(format))) {
+    return res.status(400).json({ error: "Format invalide (format_id renvoyé par /probe ou expression yt-dlp, ex: bestvideo[height<=720]+bestaudio)" });
+  }
+  if (container && !YTDLP_CONTAINERS.includes(container)) {
+    return res.status(400).json({ error: `Conteneur invalide (${YTDLP_CONTAINERS.join(', ')})` });
+  }
+
+  const subtitleLanguages = parseSubtitleLanguages(subtitles);
+  if (!subtitleLanguages) {
+    return res.status(400).json({ error: "Langues de sous-titres invalides (ex: fr,en ou all)" });
+  }
+  if (!SUBTITLE_FORMATS.includes(subtitleFormat)) {
+    return res.status(400).json({ error: `Format de sous-titres invalide (${SUBTITLE_FORMATS.join(', ')})` });
+  }
+  if ((autoSubtitles || embedSubtitles) && subtitleLanguages.length === 0) {
+    return res.status(400).json({ error: "Précisez les langues de sous-titres (subtitles, ex: fr,en)" });
+  }
+  const subtitleOptions = subtitleLanguages.length > 0
+    ? { languages: subtitleLanguages, auto: !!autoSubtitles, format: subtitleFormat, embed: !!embedSubtitles }
+    : null;
+
+  if (proxy && !isValidProxy(proxy)) {
+    return res.status(400).json({ error: "Proxy invalide (http://, https://, socks5:// ou socks5h://, identifiants user:pass@ acceptés)" });
+  }
+
+  if (checksumUrl && !isAllowedProtocol(checksumUrl)) {
+    return res.status(400).json({ error: "URL du fichier d'empreintes invalide (http/https uniquement)" });
+  }
+  if (checksumUrl && !isDomainAllowed(checksumUrl)) {
+    return res.status(403).json({ error: `Domaine non autorisé pour le fichier d'empreintes: ${new URL(checksumUrl).hostname}` });
+  }
+
   // Validation protocole
   if (!isAllowedProtocol(url)) {
     log('ERROR', 'Protocole non autorisé', { url });
@@ -683,6 +4446,7 @@ app.post("/download", async (req, res) => {
 
   // ----- Robustesse: réparer/valider le champ `url` (parfois l'extension poste des headers dans url) -----
   let forceVideo = false;
+  let manifest = null;
 
   if (typeof url === 'string' && (url.includes('\n') || url.includes('\r') || /referer[:=]/i.test(url))) {
     const match = url.match(/https?:\/\/[^\s'"]+/i);
@@ -697,45 +4461,93 @@ app.post("/download", async (req, res) => {
     }
   }
 
+  // Mode playlist : développement en jobs enfants yt-dlp, sans les sondes HEAD d'un fichier seul
+  if (playlist) {
+    if (requestedEngine && requestedEngine !== 'yt-dlp') {
+      return res.status(400).json({ error: "Le mode playlist utilise yt-dlp" });
+    }
+    if (checksum || checksumUrl) {
+      return res.status(400).json({ error: "Empreinte attendue incompatible avec le mode playlist" });
+    }
+    if (postProcess !== undefined && !resolvePostProcess(postProcess, category || 'video')) {
+      return res.status(400).json({
+        error: postProcessError()
+      });
+    }
+    return downloadPlaylist(req, res, {
+      url,
+      items,
+      skipDownloaded: skipDownloaded !== false,
+      scheduledAt,
+      category,
+      postProcess,
+      baseConfig: {
+        referer, ua, noCheckCert, cookies, priority,
+        speedLimit: parsedSpeedLimit > 0 ? parsedSpeedLimit : null,
+        proxy: proxy || null,
+        engine: 'yt-dlp',
+        format: format || null,
+        container: container || null,
+        subtitles: subtitleOptions
+      }
+    });
+  }
+
+  // Les sondes HEAD passent par le même proxy que le job (le sien, sinon celui du profil de domaine)
+  const probeProxy = proxy || getDomainProfile(url)?.proxy || null;
+
   // ----- Détection HEAD pour reconnaître les manifests DASH / JSON (ex: Vimeo) -----
   try {
     const controller = new AbortController();
     const timeoutId = setTimeout(() => controller.abort(), 4000);
 
-    const headRes = await fetch(url, {
+    const headRes = await proxiedFetch(url, {
       method: 'HEAD',
       headers: { 'User-Agent': defaultUA(ua) },
       signal: controller.signal
-    });
+    }, probeProxy);
     clearTimeout(timeoutId);
 
     const ct = (headRes.headers.get('content-type') || '').toLowerCase();
 
-    if (ct.includes('application/vnd.vimeo.dash+json') || ct.includes('application/dash+xml') || ct.includes('application/manifest+json')) {
+    if (ct.includes('application/dash+xml')) {
+      manifest = 'dash';
+      log('INFO', 'HEAD content-type indique un manifeste DASH (MPD)', { url: url.substring(0,120), contentType: ct });
+    } else if (ct.includes('application/vnd.vimeo.dash+json') || ct.includes('application/manifest+json')) {
       forceVideo = true;
       log('INFO', 'HEAD content-type indique DASH/manifest (forçage vidéo)', { url: url.substring(0,120), contentType: ct });
     }
   } catch (e) {
-    log('WARN', 'HEAD request échouée (skip content-type detection)', { error: e.message, url: url.substring(0,120) });
+    log('WARN', 'HEAD request échouée (skip content-type detection)', { error: redactProxy(e.message, probeProxy), url: url.substring(0,120) });
   }
 
   // Vérification espace disque (uniquement pour fichiers directs)
+  let expectedBytes = 0;
   if (!isVideoPlatform(url) && !url.match(/\.(m3u8|mpd)/i)) {
     try {
       const controller = new AbortController();
       const timeoutId = setTimeout(() => controller.abort(), 5000);
 
-      const headRes = await fetch(url, {
+      const headRes = await proxiedFetch(url, {
         method: 'HEAD',
         headers: { 'User-Agent': defaultUA(ua) },
         signal: controller.signal
-      });
+      }, probeProxy);
       clearTimeout(timeoutId);
 
       const contentLength = headRes.headers.get('content-length');
 
       if (contentLength) {
         const bytesNeeded = parseInt(contentLength);
+        expectedBytes = bytesNeeded;
+
+        if (exceedsMaxFileSize(bytesNeeded)) {
+          log('WARN', `Fichier trop volumineux: ${formatSize(bytesNeeded)} (maximum ${MAX_FILE_SIZE})`, { url: url.substring(0, 100) });
+          return res.status(413).json({
+            error: `Fichier trop volumineux: ${formatSize(bytesNeeded)} (maximum ${formatSize(MAX_FILE_BYTES)})`,
+            code: 'too-large'
+          });
+        }
         const stats = await fs.statfs(downloadsDir);
         const bytesAvailable = stats.bavail * stats.bsize;
 
@@ -747,11 +4559,24 @@ app.post("/download", async (req, res) => {
         }
       }
     } catch (e) {
-      log('WARN', 'Impossible de vérifier la taille du fichier (skip)', { error: e.message });
+      log('WARN', 'Impossible de vérifier la taille du fichier (skip)', { error: redactProxy(e.message, probeProxy) });
     }
   }
 
-  const id = uuidv4();
+  // Quota disque de l'utilisateur (taille annoncée par HEAD si connue, sinon l'espace déjà utilisé)
+  const owner = requestOwner(req);
+  const quota = owner ? getUserQuota(owner) : 0;
+  if (quota > 0) {
+    const used = await dirSize(ownerDir(owner));
+    if (used + expectedBytes > quota) {
+      log('WARN', `Quota dépassé pour ${owner}: ${formatSize(used)} utilisés / ${formatSize(quota)}`);
+      return res.status(507).json({
+        error: `Quota dépassé. Utilisé: ${formatSize(used)}, Requis: ${formatSize(expectedBytes)}, Quota: ${formatSize(quota)}`
+      });
+    }
+  }
+  await fs.mkdir(ownerDir(owner), { recursive: true });
+
   const timestamp = Date.now();
   const isYouTube = url.includes("googlevideo.com") || url.includes("youtube.com");
 
@@ -762,57 +4587,119 @@ app.post("/download", async (req, res) => {
 
   const filename = customFilename?.trim() ? baseName : `${timestamp}_${baseName}`;
 
-  const downloadInfo = {
-    id,
-    url,
-    filename,
-    status: "queued",
-    progress: 0,
-    speed: "0 KB/s",
-    eta: "--",
-    currentSize: "0 B",
-    fullSize: "???",
-    startedAt: null
-  };
+  const originalFilename = customFilename?.trim() || path.basename(url).split("?")[0] || null;
+
+  const downloadConfig = applyDomainProfile({
+    url, referer, ua, noCheckCert, customFilename, singleSegment, cookies, filename, forceVideo, manifest, originalFilename, priority,
+    speedLimit: parsedSpeedLimit > 0 ? parsedSpeedLimit : null,
+    checksum: expectedChecksum ? `${expectedChecksum.algorithm}:${expectedChecksum.hash}` : null,
+    checksumUrl: checksumUrl || null,
+    proxy: proxy || null,
+    engine: requestedEngine || null,
+    format: format || null,
+    container: container || null,
+    subtitles: subtitleOptions
+  });
 
-  const downloadConfig = {
-    url, referer, ua, noCheckCert, customFilename, singleSegment, cookies, filename, forceVideo
-  };
+  const engine = getEngine(downloadConfig);
+  if ((format || container) && engine !== 'yt-dlp') {
+    return res.status(400).json({ error: `Le choix du format et du conteneur ne s'applique qu'à yt-dlp (moteur: ${engine})` });
+  }
+  if (isSocksProxy(downloadConfig.proxy) && !ENGINE_REGISTRY.get(engine).socksProxy) {
+    return res.status(400).json({ error: `${engine} ne gère que les proxys HTTP(S), pas SOCKS` });
+  }
 
-  log('INFO', `Nouveau téléchargement en file d'attente: ${filename}`, {
-    url: url.substring(0, 100),
-    type: isVideoPlatform(url) ? 'video' : url.match(/\.(m3u8|mpd)/i) ? 'stream' : 'direct'
-  });
+  // Manifeste HLS / DASH : variante, piste audio et sous-titres choisis maintenant (ffmpeg prendrait sinon la première venue)
+  const streamManifest = engine === 'ffmpeg' ? manifestType(downloadConfig) : null;
+  if (subtitleOptions && engine !== 'yt-dlp' && streamManifest !== 'hls') {
+    return res.status(400).json({ error: `Les sous-titres ne s'appliquent qu'à yt-dlp et aux playlists HLS (moteur: ${engine})` });
+  }
+  if (streamManifest) {
+    const kind = streamManifest === 'hls' ? 'de la playlist HLS' : 'du manifeste DASH';
+    try {
+      const selection = streamManifest === 'hls'
+        ? resolveHlsSelection(await fetchHlsPlaylist(url, downloadConfig), { ...streamOptions, subtitles: subtitleLanguages })
+        : resolveDashSelection(await fetchDashManifest(url, downloadConfig), streamOptions);
+      if (selection?.error) return res.status(400).json({ error: selection.error });
+      if (selection) {
+        downloadConfig[streamManifest] = selection;
+        log('INFO', `Variante ${streamManifest.toUpperCase()} retenue: ${selection.label}`);
+      }
+    } catch (e) {
+      const error = redactProxy(e.message, downloadConfig.proxy);
+      if (streamOptions.variant !== null || streamOptions.audioTrack !== null || subtitleOptions) {
+        return res.status(502).json({ error: `Lecture ${kind} impossible: ${error}` });
+      }
+      log('WARN', `Lecture ${kind} impossible, ffmpeg choisira les flux`, { error });
+    }
+  }
 
-  // Stocker le processus
-  activeDownloads.set(id, { info: downloadInfo, config: downloadConfig, process: null, retryCount: 0 });
-  downloadQueue.push(id);
+  downloadConfig.category = category || detectCategory(originalFilename || filename, engine);
+  downloadConfig.postProcess = resolvePostProcess(postProcess, downloadConfig.category);
+  if (!downloadConfig.postProcess) {
+    return res.status(400).json({
+      error: postProcessError()
+    });
+  }
 
-  broadcast({ type: "update", download: downloadInfo });
+  const downloadInfo = createJob(downloadConfig, { owner, engine, scheduledAt });
+  const { id } = downloadInfo;
   processQueue(); // Tenter de démarrer si slot libre
 
   res.json({
     id,
     filename,
-    message: "Téléchargement ajouté à la file d'attente",
-    status: "queued",
-    queuePosition: downloadQueue.length
+    message: scheduledAt ? "Téléchargement programmé" : "Téléchargement ajouté à la file d'attente",
+    status: downloadInfo.status,
+    scheduledAt: downloadInfo.scheduledAt,
+    queuePosition: downloadQueue.indexOf(id) + 1
   });
+}
+app.post("/download", enqueueRoute);
+
+// Téléchargement rapide de l'extension (raccourci clavier) : délégué à /download
+app.post("/api/capture", (req, res) => {
+  const { url, type, tabId } = req.body || {};
+
+  if (!url) {
+    return res.status(400).json({ error: "URL manquante" });
+  }
+
+  log('INFO', 'Flux capturé depuis extension', { type, url: String(url).substring(0, 120), tabId });
+
+  const isStream = /\.(m3u8|mpd)(\?|$)/i.test(url);
+  req.body = { url, ua: defaultUA(), singleSegment: isStream };
+  return enqueueRoute(req, res);
 });
 
 // ================= STARTUP =================
 let server;
+let shuttingDown = false;
 
 async function startServer() {
   try {
     await ensureDirectories();
+    await loadUsers();
+    loadApiKeys();
+    loadEngines();
+    await loadDomainProfiles();
+    await loadPostProcessCategories();
+    await loadStoreKey();
     await loadState();
+    await startAria2Daemon();
+    aria2PollTimer = setInterval(pollAria2, ARIA2_POLL_INTERVAL);
+    loadBandwidthSettings();
+    loadRetentionSettings();
+    processQueue(); // Jobs restés en file d'attente avant l'arrêt
 
     server = app.listen(PORT, () => {
       log('SUCCESS', `Serveur démarré sur le port ${PORT}`);
       log('INFO', `Configuration: ${MAX_CONCURRENT_DOWNLOADS} téléchargements max, ${ALLOWED_DOMAINS.length > 0 ? ALLOWED_DOMAINS.length + ' domaines autorisés' : 'tous domaines autorisés'}`);
     });
 
+    server.on('upgrade', handleUpgrade);
+    wsPingTimer = setInterval(pingWsClients, WS_PING_INTERVAL);
+
     server.on('error', (err) => {
       log('ERROR', 'Erreur critique du serveur HTTP', { error: err.message });
       process.exit(1);
@@ -827,7 +4714,13 @@ async function startServer() {
 // Gestion arrêt gracieux
 async function gracefulShutdown(signal) {
   log('INFO', `Signal ${signal} reçu, arrêt gracieux...`);
+  shuttingDown = true;
+  clearInterval(aria2PollTimer);
+  clearInterval(bandwidthTimer);
+  clearInterval(retentionTimer);
+  clearInterval(wsPingTimer);
 
+  wss.clients.forEach(ws => ws.close(1001, "Arrêt du serveur"));
   if (server) {
     server.close(() => {
       log('INFO', 'Serveur HTTP fermé');
@@ -835,6 +4728,12 @@ async function gracefulShutdown(signal) {
   }
 
   await saveState();
+
+  // aria2c sauvegarde ses fichiers de contrôle .aria2 sur SIGTERM
+  if (aria2Daemon) {
+    aria2Daemon.kill("SIGTERM");
+  }
+
   process.exit(0);
 }
 